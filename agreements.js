@@ -0,0 +1,112 @@
+// agreements.js - What the Phase 1 decisions mean for Phase 2 (rules in agreements.json)
+// Each decided issue switches on rules for the Phase 2 model: which currencies are
+// reserves, how far exchange rates may move, and whether capital is controlled.
+// Issues with no agreement keep the defaults. The IMF and World Bank issues are
+// handled by institutions.js.
+
+const gameData = require('./game-data.json');
+const AGREEMENTS = require('./agreements.json');
+
+// Catch mistakes in the data file at startup rather than mid-game
+Object.entries(AGREEMENTS.issues).forEach(([issueId, options]) => {
+  const issue = gameData.issues.find(i => i.id === Number(issueId));
+  if (!issue) throw new Error(`agreements.json refers to unknown issue ${issueId}`);
+  Object.entries(options).forEach(([optionId, rules]) => {
+    if (!issue.options.some(option => option.id === optionId)) {
+      throw new Error(`agreements.json has rules for unknown option "${optionId}" of issue ${issueId}`);
+    }
+    Object.keys(rules).filter(key => key !== 'summary').forEach(key => {
+      if (!(key in AGREEMENTS.defaults)) throw new Error(`agreements.json issue ${issueId}${optionId} has unknown rule "${key}"`);
+    });
+  });
+});
+
+// The option a Phase 1 issue was decided with, or null if there was no agreement
+function phase1Decision(room, issueId) {
+  const issue = gameData.issues.find(i => i.id === issueId);
+  const history = (room.roundHistory || []).find(entry => entry.issue === issue.title);
+  const option = history && issue.options.find(o => o.text === history.winningOption);
+  return option ? option.id : null;
+}
+
+// Rules in force for this room, fixed when Phase 2 starts
+function createAgreements(room) {
+  const agreements = { ...AGREEMENTS.defaults, decisions: {}, summaries: [] };
+  Object.entries(AGREEMENTS.issues).forEach(([issueId, options]) => {
+    const optionId = phase1Decision(room, Number(issueId));
+    agreements.decisions[issueId] = optionId;
+    if (!optionId) return;
+
+    const { summary, ...rules } = options[optionId];
+    Object.assign(agreements, rules);
+    agreements.summaries.push(summary);
+  });
+  return agreements;
+}
+
+function capitalControlsActive(agreements, year) {
+  const controls = agreements.capitalControls;
+  return Boolean(controls) && (controls.untilYear === undefined || year < controls.untilYear);
+}
+
+// Share of a trade deficit that leaves as gold, relative to the model's outflow rate
+function goldOutflowMultiplier(agreements, country, year) {
+  let multiplier = agreements.goldOutflowMultiplier;
+  if (agreements.reserveCurrencies.includes(country)) multiplier *= agreements.reserveOutflowMultiplier;
+  if (capitalControlsActive(agreements, year)) multiplier *= 1 - agreements.capitalControls.damping;
+  return multiplier;
+}
+
+// GDP growth lost to running capital controls
+function capitalControlsCost(agreements, year) {
+  return capitalControlsActive(agreements, year) ? agreements.capitalControls.growthCost || 0 : 0;
+}
+
+// With free capital movement, money follows interest rates
+function hotMoneyFlow(agreements, centralBankRate, model) {
+  return (centralBankRate - model.optimalCentralBankRate) * agreements.hotMoneyFlow;
+}
+
+// The country's policy from the latest earlier year it submitted one, if any
+function lastPolicy(room, country) {
+  const year = room.phase2.currentYear;
+  const earlier = Object.keys(room.phase2.policies).map(Number).filter(y => y < year).sort((a, b) => b - a);
+  const last = earlier.find(y => room.phase2.policies[y][country]);
+  return last !== undefined ? room.phase2.policies[last][country] : null;
+}
+
+// The exchange rate a pegged country is held to this year: an IMF-approved par
+// value, or else its last submitted rate (1.0 before its first)
+function parValue(room, country) {
+  const year = room.phase2.currentYear;
+  const approved = room.phase2.parChanges && room.phase2.parChanges[year] && room.phase2.parChanges[year][country];
+  if (approved !== undefined) return approved;
+
+  const previous = lastPolicy(room, country);
+  return previous ? previous.exchangeRate : 1.0;
+}
+
+// Returns why the exchange rate breaks the peg around par, or null if it is allowed
+function checkExchangeRate(room, country, exchangeRate, par = parValue(room, country)) {
+  const band = room.phase2.agreements && room.phase2.agreements.exchangeRateBand;
+  if (band === null || band === undefined) return null;
+
+  const low = Math.round(par * (1 - band) * 1000) / 1000;
+  const high = Math.round(par * (1 + band) * 1000) / 1000;
+  if (exchangeRate < low || exchangeRate > high) {
+    return `Your exchange rate is pegged at ${par}: without IMF approval it must stay between ${low} and ${high}`;
+  }
+  return null;
+}
+
+module.exports = {
+  AGREEMENTS,
+  phase1Decision,
+  createAgreements,
+  goldOutflowMultiplier,
+  capitalControlsCost,
+  hotMoneyFlow,
+  lastPolicy,
+  parValue,
+  checkExchangeRate
+};
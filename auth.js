@@ -0,0 +1,107 @@
+// auth.js - Password hashing and session tokens, shared by server.js and server-multiroom.js
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Async so that hashing a password does not hold up every other socket
+const scrypt = promisify(crypto.scrypt);
+
+// Hashes are stored as "scrypt$N$r$p$salt$hash"; untagged hex is legacy unsalted SHA-256
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, hashedPassword) {
+  if (typeof hashedPassword !== 'string') return false;
+
+  let expected;
+  let actual;
+  if (hashedPassword.startsWith('scrypt$')) {
+    const [, N, r, p, salt, hash] = hashedPassword.split('$');
+    expected = Buffer.from(hash, 'hex');
+    actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length, {
+      N: parseInt(N, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10)
+    });
+  } else {
+    expected = Buffer.from(hashedPassword, 'hex');
+    actual = crypto.createHash('sha256').update(password).digest();
+  }
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Legacy SHA-256 hashes (and older scrypt parameters) are upgraded at next login
+function needsRehash(hashedPassword) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  return !hashedPassword.startsWith(`scrypt$${N}$${r}$${p}$`);
+}
+
+// Session tokens: "<base64url payload>.<base64url HMAC-SHA256 signature>"
+// Without SESSION_SECRET set, tokens stop working whenever the server restarts.
+// Each token carries the user's sessionVersion; bumping it revokes every token issued so far.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+function signSessionPayload(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function createSessionToken(username, user) {
+  const payload = Buffer.from(JSON.stringify({
+    username: username,
+    playerId: user.playerId,
+    sessionVersion: user.sessionVersion || 0,
+    expiresAt: Date.now() + SESSION_TTL
+  })).toString('base64url');
+  return `${payload}.${signSessionPayload(payload)}`;
+}
+
+// Returns { username, playerId, sessionVersion } for a valid, unexpired token, otherwise null
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signSessionPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.expiresAt || session.expiresAt < Date.now()) return null;
+    return { username: session.username, playerId: session.playerId, sessionVersion: session.sessionVersion || 0 };
+  } catch (err) {
+    return null;
+  }
+}
+
+// True while the session still belongs to the user and has not been revoked
+function isCurrentSession(session, user) {
+  return Boolean(session && user &&
+    user.playerId === session.playerId &&
+    (user.sessionVersion || 0) === session.sessionVersion);
+}
+
+// Revoke every session token issued to the user
+function revokeSessions(user) {
+  user.sessionVersion = (user.sessionVersion || 0) + 1;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createSessionToken,
+  verifySessionToken,
+  isCurrentSession,
+  revokeSessions
+};
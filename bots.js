@@ -0,0 +1,127 @@
+// bots.js - Computer players for countries no student has claimed
+// The facilitator seats a bot with one of three strategies:
+//   historical  - backs what its delegation backed in 1944 and plays steady policies
+//   greedy      - votes for its own points and picks the policy with the best forecast score
+//   cooperative - votes for what is best for the whole conference and keeps trade open
+// Bots vote as soon as voting opens and set their policy at the start of each
+// Phase 2 year. Their policies go through the same checks as a student's.
+
+const gameData = require('./game-data.json');
+const { POLICY_LEVERS, getScenario } = require('./scenarios');
+const { lastPolicy, parValue } = require('./agreements');
+const { validatePolicy } = require('./policies');
+
+const BOT_STRATEGIES = ['historical', 'greedy', 'cooperative'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Phase 1 points a country gets if the option wins (as in calculateScoresForCurrentRound)
+function optionPoints(option, country) {
+  return (option.favors.includes(country) ? 10 : 0) - (option.opposes.includes(country) ? 5 : 0);
+}
+
+// The option a bot votes for on a Phase 1 issue
+function chooseVote(issue, country, strategy) {
+  const { options } = issue;
+  // Highest score wins; the first listed option wins ties
+  const best = (score) => options.reduce((top, option) => (score(option) > score(top) ? option : top));
+
+  if (strategy === 'greedy') return best(option => optionPoints(option, country)).id;
+  if (strategy === 'cooperative') {
+    return best(option => Object.keys(gameData.countries).reduce((sum, other) => sum + optionPoints(option, other), 0)).id;
+  }
+
+  // Historical: the option adopted in 1944 if the country backed it, or if it
+  // backed nothing and was not against it; otherwise its own favourite
+  const adopted = issue.historicalOutcome && options.find(option => option.id === issue.historicalOutcome.optionId);
+  const backed = options.filter(option => option.favors.includes(country));
+  if (adopted && (backed.includes(adopted) || (backed.length === 0 && !adopted.opposes.includes(country)))) {
+    return adopted.id;
+  }
+  return best(option => optionPoints(option, country)).id;
+}
+
+// Move a target value onto the lever's range and steps, within its yearly change limit
+function fitLever(value, { min, max, step, maxChange }, before) {
+  let fitted = clamp(value, min, max);
+  if (typeof before === 'number') fitted = clamp(fitted, before - maxChange, before + maxChange);
+  fitted = min + Math.round((fitted - min) / step) * step;
+  if (typeof before === 'number' && Math.abs(fitted - before) > maxChange) fitted -= Math.sign(fitted - before) * step;
+  return Math.round(fitted * 1e6) / 1e6;
+}
+
+function fitPolicy(room, country, target) {
+  const levers = getScenario(room.scenario).policyLevers;
+  const previous = lastPolicy(room, country);
+  const policy = {};
+  POLICY_LEVERS.forEach(lever => {
+    const before = lever === 'exchangeRate' ? parValue(room, country) : previous && previous[lever];
+    policy[lever] = fitLever(target[lever], levers[lever], before);
+  });
+  return policy;
+}
+
+// Rules of thumb from last year's results: raise rates and ration against
+// inflation, spend on reconstruction while prices allow, hold the peg
+function heuristicPolicy(room, country, strategy) {
+  const { model } = getScenario(room.scenario);
+  const data = room.phase2.yearlyData[room.phase2.currentYear][country];
+  const agreements = room.phase2.agreements || {};
+  const optimalTariff = model.optimalTariff[country] ?? model.optimalTariff.default;
+  const highInflation = data.inflation > 10;
+  const controlsAllowed = agreements.nationalCapitalControls !== false;
+
+  return fitPolicy(room, country, {
+    centralBankRate: model.optimalCentralBankRate + clamp((data.inflation - 3) / 2, -1, 5),
+    exchangeRate: parValue(room, country),
+    tariffRate: strategy === 'cooperative' ? optimalTariff - 5 : optimalTariff,
+    reconstructionSpending: highInflation ? 0 : 2,
+    rationing: highInflation ? 30 : 0,
+    capitalControls: controlsAllowed && strategy !== 'cooperative' && data.tradeBalance < 0 ? 30 : 0
+  });
+}
+
+// Variations on the rules of thumb for a greedy bot to forecast: other interest
+// rates, a cheaper currency, higher tariffs and more spending
+function greedyCandidates(room, country, base) {
+  const band = room.phase2.agreements && room.phase2.agreements.exchangeRateBand;
+  const cheaper = base.exchangeRate * (1 - (typeof band === 'number' ? band : 0.1));
+  const candidates = [];
+  [0, -1, 1].forEach(rateChange => {
+    [base.exchangeRate, cheaper].forEach(exchangeRate => {
+      [0, 10].forEach(tariffChange => {
+        [0, 2].forEach(spendingChange => {
+          candidates.push(fitPolicy(room, country, {
+            ...base,
+            centralBankRate: base.centralBankRate + rateChange,
+            exchangeRate: exchangeRate,
+            tariffRate: base.tariffRate + tariffChange,
+            reconstructionSpending: base.reconstructionSpending + spendingChange
+          }));
+        });
+      });
+    });
+  });
+  return candidates;
+}
+
+// The policy a bot submits this year, or null if it finds no valid one.
+// forecast(room, country, policy) returns the projected year, with its score.
+function choosePolicy(room, country, strategy, forecast) {
+  const base = heuristicPolicy(room, country, strategy);
+  const candidates = strategy === 'greedy' ? greedyCandidates(room, country, base) : [base];
+  const previous = lastPolicy(room, country);
+  if (previous) candidates.push(previous);
+
+  const valid = candidates
+    .map(candidate => validatePolicy(room, country, candidate))
+    .filter(result => result.errors.length === 0)
+    .map(result => result.policy);
+  if (valid.length === 0) return null;
+  if (strategy !== 'greedy') return valid[0];
+
+  const scored = valid.map(policy => ({ policy, score: forecast(room, country, policy).score }));
+  return scored.reduce((top, entry) => (entry.score > top.score ? entry : top)).policy;
+}
+
+module.exports = { BOT_STRATEGIES, chooseVote, choosePolicy };
@@ -0,0 +1,427 @@
+// debrief.js - Post-game debrief report for a room, as one standalone HTML page
+// Inline CSS and SVG charts only, so the file can be saved, emailed or printed as is.
+// Used by server-multiroom.js (requestDebrief socket event and the /api debrief route).
+// Only facilitator copies include the chat, since it has the private channels.
+
+const { PHASE2_CATEGORIES, getScenario } = require('./scenarios');
+
+// Hex versions of the Tailwind colors in game-data.json
+const COUNTRY_COLORS = {
+  USA: '#2563eb',
+  UK: '#dc2626',
+  USSR: '#9333ea',
+  France: '#d97706',
+  China: '#16a34a',
+  India: '#ea580c',
+  Argentina: '#0891b2'
+};
+
+const METRICS = [
+  { key: 'gdpGrowth', label: 'GDP Growth', unit: '%' },
+  { key: 'inflation', label: 'Inflation', unit: '%' },
+  { key: 'unemployment', label: 'Unemployment', unit: '%' },
+  { key: 'tradeBalance', label: 'Trade Balance', unit: '$M' },
+  { key: 'goldReserves', label: 'Gold Reserves', unit: '$M' },
+  { key: 'debtToGdp', label: 'Debt', unit: '% of GDP' }
+];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function countryName(gameData, country) {
+  return (gameData.countries[country] && gameData.countries[country].name) || country;
+}
+
+function formatNumber(value) {
+  if (value === undefined || value === null) return '–';
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 1 });
+}
+
+// Line chart with one line per country; missing years leave a gap
+function renderChart(metric, years, countries, yearlyData) {
+  const width = 640;
+  const height = 240;
+  const margin = { top: 20, right: 20, bottom: 30, left: 60 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const values = [];
+  years.forEach(year => countries.forEach(country => {
+    const data = yearlyData[year] && yearlyData[year][country];
+    if (data && typeof data[metric.key] === 'number') values.push(data[metric.key]);
+  }));
+  if (values.length === 0) return '';
+
+  let min = Math.min(0, ...values);
+  let max = Math.max(0, ...values);
+  if (min === max) max = min + 1;
+  const padding = (max - min) * 0.05;
+  min -= padding;
+  max += padding;
+
+  const x = (index) => margin.left + (years.length === 1 ? plotWidth / 2 : index * plotWidth / (years.length - 1));
+  const y = (value) => margin.top + (max - value) / (max - min) * plotHeight;
+
+  const grid = [0, 1, 2, 3, 4].map(step => {
+    const value = min + (max - min) * step / 4;
+    return `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="#e2e8f0"/>` +
+      `<text x="${margin.left - 6}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${formatNumber(value)}</text>`;
+  }).join('');
+
+  const zeroLine = `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="#94a3b8"/>`;
+
+  const xLabels = years.map((year, index) =>
+    `<text x="${x(index).toFixed(1)}" y="${height - 8}" text-anchor="middle">${year}</text>`
+  ).join('');
+
+  const lines = countries.map(country => {
+    const color = COUNTRY_COLORS[country] || '#475569';
+    const segments = [[]];
+    const dots = [];
+    years.forEach((year, index) => {
+      const data = yearlyData[year] && yearlyData[year][country];
+      if (!data || typeof data[metric.key] !== 'number') {
+        segments.push([]);
+        return;
+      }
+      const point = `${x(index).toFixed(1)},${y(data[metric.key]).toFixed(1)}`;
+      segments[segments.length - 1].push(point);
+      dots.push(`<circle cx="${x(index).toFixed(1)}" cy="${y(data[metric.key]).toFixed(1)}" r="3" fill="${color}"/>`);
+    });
+    return segments
+      .filter(points => points.length > 1)
+      .map(points => `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`)
+      .join('') + dots.join('');
+  }).join('');
+
+  return `
+    <figure class="chart">
+      <figcaption>${escapeHtml(metric.label)} (${escapeHtml(metric.unit)})</figcaption>
+      <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(metric.label)} by year">
+        ${grid}${zeroLine}${xLabels}${lines}
+      </svg>
+    </figure>`;
+}
+
+function renderLegend(gameData, countries) {
+  return `<div class="legend">${countries.map(country =>
+    `<span><i style="background:${COUNTRY_COLORS[country] || '#475569'}"></i>${escapeHtml(countryName(gameData, country))}</span>`
+  ).join('')}</div>`;
+}
+
+function renderStandings(room, gameData, countries) {
+  const achievements = (room.phase2 && room.phase2.achievements) || {};
+  const rows = countries
+    .slice()
+    .sort((a, b) => (room.scores[b] || 0) - (room.scores[a] || 0))
+    .map((country, index) => {
+      const list = (achievements[country] && achievements[country].list) || [];
+      const bot = Object.values(room.players).find(player => player.country === country && player.bot);
+      return `<tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(countryName(gameData, country))}${bot ? ` <span class="muted">(${escapeHtml(bot.bot.strategy)} bot)</span>` : ''}</td>
+        <td class="num">${formatNumber(room.scores[country] || 0)}</td>
+        <td>${list.map(achievement => `${escapeHtml(achievement.name)} (+${achievement.points})`).join(', ') || '–'}</td>
+      </tr>`;
+    }).join('');
+
+  return `
+    <section>
+      <h2>Final Standings</h2>
+      <table>
+        <thead><tr><th>Rank</th><th>Country</th><th class="num">Score</th><th>Achievements</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </section>`;
+}
+
+// Each issue as decided in the room, next to what happened at Bretton Woods in 1944
+function renderTimeline(room, gameData) {
+  const entries = gameData.issues.map((issue, index) => {
+    const round = index + 1;
+    const history = (room.roundHistory || []).find(entry => entry.round === round);
+    const historical = issue.historicalOutcome
+      ? issue.options.find(option => option.id === issue.historicalOutcome.optionId)
+      : null;
+
+    let outcome = '<p class="muted">No votes were cast on this issue.</p>';
+    let verdict = '';
+    if (history) {
+      const winner = history.winningOption
+        ? issue.options.find(option => option.text === history.winningOption)
+        : null;
+      const votes = issue.options.map(option => {
+        const count = (history.votes && history.votes[option.id]) || 0;
+        const weight = history.weightedVotes && history.weightedVotes[option.id];
+        const weighted = weight !== undefined && weight !== count ? `, weight ${formatNumber(weight)}` : '';
+        return `<li>${escapeHtml(option.text)}: ${count} vote${count === 1 ? '' : 's'}${weighted}</li>`;
+      }).join('');
+
+      const deals = (history.deals || []).map(deal => `${escapeHtml(deal.proposer)} ↔ ${escapeHtml(deal.recipient)}`);
+      const broken = (history.dealOutcomes || []).filter(result => !result.kept);
+
+      outcome = `
+        <p><strong>Room decision:</strong> ${history.winningOption ? escapeHtml(history.winningOption) : 'No agreement'}</p>
+        <ul>${votes}</ul>
+        ${deals.length > 0 ? `<p><strong>Deals:</strong> ${deals.join(', ')}</p>` : ''}
+        ${broken.length > 0 ? `<p><strong>Broken promises:</strong> ${broken.map(result => `${escapeHtml(result.country)} (−${result.penalty})`).join(', ')}</p>` : ''}`;
+
+      if (historical) {
+        verdict = winner && winner.id === historical.id
+          ? '<span class="badge match">Matched history</span>'
+          : '<span class="badge differ">Differed from history</span>';
+      }
+    }
+
+    const historyText = historical
+      ? `<div class="historical"><strong>In 1944:</strong> ${escapeHtml(historical.text)}. ${escapeHtml(issue.historicalOutcome.summary)}</div>`
+      : '';
+
+    return `
+      <li class="timeline-entry">
+        <h3>Round ${round}: ${escapeHtml(issue.title)} ${verdict}</h3>
+        <p class="muted">${escapeHtml(issue.description)}</p>
+        ${outcome}
+        ${historyText}
+      </li>`;
+  }).join('');
+
+  return `
+    <section>
+      <h2>Phase 1: Decisions at the Conference</h2>
+      <ol class="timeline">${entries}</ol>
+    </section>`;
+}
+
+function renderCountryTable(room, gameData, country, years) {
+  const yearlyData = room.phase2.yearlyData;
+  const yearScores = room.phase2.yearScores || {};
+
+  const rows = years.map(year => {
+    const data = (yearlyData[year] && yearlyData[year][country]) || {};
+    const score = yearScores[year] && yearScores[year][country];
+    const breakdown = PHASE2_CATEGORIES.map(category =>
+      `<td class="num">${score ? formatNumber(score.breakdown[category] || 0) : '–'}</td>`
+    ).join('');
+    return `<tr>
+      <td>${year}</td>
+      ${METRICS.map(metric => `<td class="num">${formatNumber(data[metric.key])}</td>`).join('')}
+      ${breakdown}
+      <td class="num"><strong>${score ? formatNumber(score.total) : '–'}</strong></td>
+    </tr>`;
+  }).join('');
+
+  return `
+    <div class="country">
+      <h3 style="border-color:${COUNTRY_COLORS[country] || '#475569'}">${escapeHtml(countryName(gameData, country))}</h3>
+      <table class="compact">
+        <thead>
+          <tr>
+            <th rowspan="2">Year</th>
+            ${METRICS.map(metric => `<th rowspan="2" class="num">${escapeHtml(metric.label)} (${escapeHtml(metric.unit)})</th>`).join('')}
+            <th colspan="${PHASE2_CATEGORIES.length + 1}">Score breakdown</th>
+          </tr>
+          <tr>
+            <th class="num">GDP</th><th class="num">Jobs</th><th class="num">Prices</th>
+            <th class="num">Trade</th><th class="num">Gold</th><th class="num">Output</th><th class="num">Debt</th>
+            <th class="num">Total</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+// Historical events announced during Phase 2, by year
+function renderEvents(room, gameData) {
+  const events = room.phase2.events || {};
+  const entries = Object.keys(events).sort().flatMap(year => events[year].map(event => `
+    <li>
+      <strong>${escapeHtml(year)}: ${escapeHtml(event.title)}</strong>
+      <span class="muted">(${event.countries.map(country => escapeHtml(countryName(gameData, country))).join(', ')})</span>
+      <div>${escapeHtml(event.context)}</div>
+    </li>`));
+  if (entries.length === 0) return '';
+
+  return `
+    <h3>Historical Events</h3>
+    <ul class="events">${entries.join('')}</ul>`;
+}
+
+// Phase 2 rules from the Phase 1 votes, and the IMF and World Bank loans taken under them
+function renderAgreements(room, gameData) {
+  const summaries = (room.phase2.agreements && room.phase2.agreements.summaries) || [];
+  const institutions = Object.values(room.phase2.institutions || {}).filter(Boolean);
+  const loans = room.phase2.loans || [];
+  if (summaries.length === 0 && institutions.length === 0 && loans.length === 0) return '';
+
+  const names = { imf: 'IMF', worldBank: 'World Bank' };
+  const rows = loans.map(loan => `<tr>
+      <td>${escapeHtml(String(loan.year))}</td>
+      <td>${escapeHtml(countryName(gameData, loan.country))}</td>
+      <td>${escapeHtml(names[loan.institution] || loan.institution)}</td>
+      <td class="num">${formatNumber(loan.amount)}</td>
+      <td>${loan.termYears > 0 ? `${formatNumber(loan.interestRate)}% over ${loan.termYears} years` : 'Grant'}</td>
+    </tr>`).join('');
+
+  return `
+    <h3>The Agreements in Force</h3>
+    <ul>${[...summaries, ...institutions.map(institution => institution.summary)].map(summary => `<li>${escapeHtml(summary)}</li>`).join('')}</ul>
+    ${loans.length > 0 ? `
+    <table class="compact">
+      <thead><tr><th>Year</th><th>Borrower</th><th>Lender</th><th class="num">Amount ($M)</th><th>Terms</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : '<p class="muted">No loans were taken.</p>'}`;
+}
+
+// Who sold to whom in the last year, from the bilateral trade model
+function renderTradeMatrix(gameData, countries, year, yearData) {
+  const sellers = countries.filter(country => yearData[country] && yearData[country].exports);
+  if (sellers.length === 0) return '';
+  const partners = Object.keys(gameData.countries);
+
+  const rows = sellers.map(seller => {
+    const data = yearData[seller];
+    const cells = partners.map(partner => `<td class="num">${partner === seller ? '–' : formatNumber(data.exports[partner])}</td>`).join('');
+    const retaliation = data.tradeRetaliation ? ' <span class="badge differ">Retaliation</span>' : '';
+    return `<tr><td>${escapeHtml(countryName(gameData, seller))}${retaliation}</td>${cells}<td class="num"><strong>${formatNumber(data.tradeBalance)}</strong></td></tr>`;
+  }).join('');
+
+  return `
+    <h3>Trade in ${year}</h3>
+    <p class="muted">Exports from each country (row) to each partner (column), $M</p>
+    <table class="compact">
+      <thead>
+        <tr><th>Exporter</th>${partners.map(partner => `<th class="num">${escapeHtml(countryName(gameData, partner))}</th>`).join('')}<th class="num">Balance</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function renderPhase2(room, gameData) {
+  if (!room.phase2 || !room.phase2.yearlyData) return '';
+
+  const yearlyData = room.phase2.yearlyData;
+  const years = Object.keys(yearlyData).map(Number).sort((a, b) => a - b);
+  if (years.length === 0) return '';
+
+  const countries = Object.keys(COUNTRY_COLORS).filter(country =>
+    years.some(year => yearlyData[year][country])
+  );
+
+  return `
+    <section>
+      <h2>Phase 2: Post-War Economies, ${years[0]}–${years[years.length - 1]}</h2>
+      ${renderEvents(room, gameData)}
+      ${renderAgreements(room, gameData)}
+      ${renderLegend(gameData, countries)}
+      <div class="charts">
+        ${METRICS.map(metric => renderChart(metric, years, countries, yearlyData)).join('')}
+      </div>
+      ${renderTradeMatrix(gameData, countries, years[years.length - 1], yearlyData[years[years.length - 1]])}
+    </section>
+    <section class="page-break">
+      <h2>Year by Year</h2>
+      ${countries.map(country => renderCountryTable(room, gameData, country, years)).join('')}
+    </section>`;
+}
+
+// The room's chat, public channel first, then each private conversation
+function renderChat(room, gameData) {
+  const messages = room.messages || {};
+  const channels = Object.keys(messages)
+    .filter(channel => messages[channel].length > 0)
+    .sort((a, b) => (a === 'public' ? -1 : b === 'public' ? 1 : a.localeCompare(b)));
+  if (channels.length === 0) return '';
+
+  const channelTitle = (channel) => channel === 'public'
+    ? 'Public channel'
+    : `Private: ${channel.slice('private:'.length).split('|').map(country => escapeHtml(countryName(gameData, country))).join(' ↔ ')}`;
+
+  const transcripts = channels.map(channel => {
+    const entries = messages[channel].map(message => {
+      const time = new Date(message.sentAt).toLocaleTimeString('en-US', { timeStyle: 'short' });
+      return `<li><span class="muted">${escapeHtml(time)}</span> <strong>${escapeHtml(countryName(gameData, message.from))}:</strong> ${escapeHtml(message.text)}</li>`;
+    }).join('');
+    return `
+      <div class="channel">
+        <h3>${channelTitle(channel)} <span class="muted">(${messages[channel].length} message${messages[channel].length === 1 ? '' : 's'})</span></h3>
+        <ul class="chat">${entries}</ul>
+      </div>`;
+  }).join('');
+
+  return `
+    <section class="page-break">
+      <h2>Chat Transcript</h2>
+      ${transcripts}
+    </section>`;
+}
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; max-width: 1000px; margin: 0 auto; padding: 24px; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 2px solid #e2e8f0; padding-bottom: 6px; margin-top: 36px; }
+  h3 { margin-bottom: 6px; }
+  .muted { color: #64748b; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+  th, td { border-bottom: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f8fafc; }
+  .num { text-align: right; }
+  table.compact { font-size: 0.8rem; }
+  table.compact th, table.compact td { padding: 4px 6px; }
+  .timeline { list-style: none; padding: 0; }
+  .timeline-entry { border-left: 4px solid #cbd5e1; padding: 4px 16px 8px; margin-bottom: 16px; break-inside: avoid; }
+  .historical { background: #fef3c7; border-radius: 6px; padding: 8px 12px; }
+  .badge { font-size: 0.75rem; border-radius: 999px; padding: 2px 8px; vertical-align: middle; }
+  .badge.match { background: #dcfce7; color: #166534; }
+  .badge.differ { background: #fee2e2; color: #991b1b; }
+  .events li { margin-bottom: 8px; }
+  .legend span { margin-right: 16px; white-space: nowrap; }
+  .legend i { display: inline-block; width: 12px; height: 12px; border-radius: 2px; margin-right: 4px; vertical-align: middle; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; }
+  .chart { margin: 0; break-inside: avoid; }
+  .chart figcaption { font-weight: bold; margin-bottom: 4px; }
+  .chart svg { width: 100%; height: auto; font-size: 11px; fill: #64748b; }
+  .country { break-inside: avoid; }
+  .country h3 { border-left: 6px solid; padding-left: 8px; }
+  .chat { list-style: none; padding: 0; font-size: 0.85rem; }
+  .chat li { padding: 2px 0; }
+  .print-button { float: right; padding: 8px 16px; cursor: pointer; }
+  @media print {
+    .print-button { display: none; }
+    body { padding: 0; }
+    .page-break { break-before: page; }
+  }
+`;
+
+// options.includeChat adds the chat transcript, private channels included
+function renderDebrief(room, gameData, options = {}) {
+  const countries = Object.values(room.players).map(player => player.country);
+  const generated = new Date().toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Debrief: ${escapeHtml(room.roomName)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">🖨️ Print</button>
+<h1>🏦 Bretton Woods Debrief</h1>
+<p class="muted">${escapeHtml(room.roomName)} · ${countries.length} countries · ${escapeHtml(getScenario(room.scenario).name)} scenario${room.seed !== undefined ? ` · seed ${room.seed}` : ''} · generated ${escapeHtml(generated)}</p>
+${renderStandings(room, gameData, countries)}
+${renderTimeline(room, gameData)}
+${renderPhase2(room, gameData)}
+${options.includeChat ? renderChat(room, gameData) : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDebrief };
@@ -0,0 +1,283 @@
+// economy.js - The Phase 2 economic model
+// simulateYear works out one year for every seated country from the policies,
+// the scenario, the Phase 1 agreements, loans, historical events and the room's
+// seed. It never changes the room, so the real year, forecasts, bot choices and
+// replays all run the same code.
+
+const gameData = require('./game-data.json');
+const { eventsForYear, eventEffects } = require('./events');
+const { PHASE2_CATEGORIES, getScenario, scoreBand } = require('./scenarios');
+const { facesRetaliation, calculateTradeFlows } = require('./trade');
+const { calculateBudget } = require('./fiscal');
+const {
+  createAgreements,
+  goldOutflowMultiplier,
+  capitalControlsCost,
+  hotMoneyFlow,
+  lastPolicy
+} = require('./agreements');
+const { loanEffects, debtAfter } = require('./institutions');
+const { createRng } = require('./random');
+
+// One year of the Phase 2 model: every country's results and score for the
+// current year under the given policies. It does not change the room, so
+// forecasts run exactly the same code as the real year. With randomness off,
+// every random draw is replaced by its average.
+function simulateYear(room, policies, { randomness = true } = {}) {
+  const currentYear = room.phase2.currentYear;
+  const prevYearData = room.phase2.yearlyData[currentYear];
+  const results = {};
+  const yearScores = {};
+
+  const { model, scoring, tradeFlows } = getScenario(room.scenario);
+
+  // Rules from the Phase 1 agreements (agreements.js)
+  const agreements = room.phase2.agreements || createAgreements(room);
+  const yearEvents = eventsForYear(currentYear);
+  const loans = room.phase2.loans || [];
+  const allPolicies = { ...room.phase2.policies, [currentYear]: policies };
+
+  // Countries nobody is playing, or whose player missed the deadline, still
+  // trade at a neutral exchange rate and their optimal tariff
+  const traders = {};
+  Object.keys(gameData.countries).forEach(country => {
+    traders[country] = {
+      exchangeRate: 1.0,
+      tariffRate: model.optimalTariff[country] ?? model.optimalTariff.default,
+      gdpGrowth: model.baseGrowth,
+      noise: 0,
+      retaliation: false
+    };
+  });
+
+  // First pass: growth, prices and jobs for each country
+  const outcomes = {};
+  Object.keys(room.players).forEach(playerId => {
+    const player = room.players[playerId];
+    const country = player.country;
+    const policy = policies[country];
+    const prevData = prevYearData[country];
+    const random = randomness ? createRng(room.seed, currentYear, country) : () => 0.5;
+
+    // Seats for countries not in game-data.json have no economy to model
+    if (!Object.keys(traders).includes(country)) return;
+
+    // Nor do seats taken after Phase 2 started, which have no figures to carry
+    // forward. Replays leave them out too, since they only model the 1946 countries.
+    if (!prevData) return;
+
+    if (!policy) {
+      traders[country].gdpGrowth = model.missedPolicyGrowth;
+      outcomes[country] = { missed: true, prevData };
+      return;
+    }
+
+    // Economic calculation model (policies stored before the newer levers existed lack them)
+    const { centralBankRate, exchangeRate, tariffRate, reconstructionSpending = 0, rationing = 0, capitalControls = 0 } = policy;
+
+    // Base growth rate (post-war boom)
+    let gdpGrowth = model.baseGrowth;
+
+    // Central bank rate impact (lower rates = more growth, but more inflation)
+    const cbRateDeviation = Math.abs(centralBankRate - model.optimalCentralBankRate);
+    gdpGrowth -= cbRateDeviation * model.centralBankRatePenalty;
+
+    // Exchange rate impact (competitive = more exports)
+    // Higher exchange rate = stronger currency = fewer exports
+    const exchangeRateImpact = (exchangeRate - 1.0) * model.exchangeRateGrowthEffect;
+    gdpGrowth += exchangeRateImpact;
+
+    // Tariff impact (protection vs trade)
+    const optimalTariff = model.optimalTariff[country] ?? model.optimalTariff.default;
+    const tariffDeviation = Math.abs(tariffRate - optimalTariff);
+    gdpGrowth -= tariffDeviation * model.tariffPenalty;
+
+    // Reconstruction spending rebuilds; rationing and the country's own capital controls hold it back
+    gdpGrowth += reconstructionSpending * model.spendingGrowthEffect;
+    gdpGrowth -= rationing * model.rationingGrowthCost;
+    gdpGrowth -= capitalControls / 100 * model.capitalControlGrowthCost;
+
+    // Capital controls, if the agreements allow them, cost some efficiency
+    gdpGrowth -= capitalControlsCost(agreements, currentYear);
+
+    // IMF and World Bank loans: reconstruction money, and penalties for broken conditions
+    const loanEffect = loanEffects(loans, country, currentYear, policy);
+    gdpGrowth += loanEffect.gdpGrowth;
+
+    // Historical events active this year (historical-events.json)
+    const eventEffect = eventEffects(yearEvents, country);
+    gdpGrowth += eventEffect.gdpGrowth;
+
+    // Random shock, centred on zero
+    const randomShock = (random() - 0.5) * model.gdpShockRange;
+    gdpGrowth += randomShock;
+
+    // Calculate inflation
+    let inflation = prevData.inflation;
+    // Lower CB rates = higher inflation
+    if (centralBankRate < model.lowRateThreshold) {
+      inflation += (model.lowRateThreshold - centralBankRate) * model.lowRateInflation;
+    } else if (centralBankRate > model.highRateThreshold) {
+      inflation -= (centralBankRate - model.highRateThreshold) * model.highRateDisinflation;
+    }
+    // Spending pushes prices up; rationing holds them down
+    inflation += reconstructionSpending * model.spendingInflationEffect;
+    inflation -= rationing * model.rationingInflationEffect;
+    inflation = Math.max(0, inflation + (random() - 0.5) * model.inflationNoiseRange);
+
+    inflation = Math.max(0, inflation + eventEffect.inflation);
+
+    // Calculate unemployment (inverse of growth)
+    let unemployment = prevData.unemployment;
+    if (gdpGrowth > model.jobGrowthThreshold) {
+      unemployment -= (gdpGrowth - model.jobGrowthThreshold) * model.jobGrowthEffect;
+    } else if (gdpGrowth < model.jobLossThreshold) {
+      unemployment += (model.jobLossThreshold - gdpGrowth) * model.jobLossEffect;
+    }
+    unemployment += eventEffect.unemployment;
+    unemployment = Math.max(model.minUnemployment, Math.min(model.maxUnemployment, unemployment));
+
+    // Partners retaliate against tariffs kept high year after year
+    const retaliation = facesRetaliation(allPolicies, country, currentYear, model);
+
+    traders[country] = {
+      exchangeRate,
+      tariffRate,
+      gdpGrowth,
+      noise: (random() - 0.5) * model.exportNoiseRange,
+      retaliation
+    };
+    outcomes[country] = { policy, prevData, eventEffect, loanEffect, gdpGrowth, inflation, unemployment, retaliation, reconstructionSpending, capitalControls };
+  });
+
+  // Bilateral trade between all countries (trade.js)
+  const trade = calculateTradeFlows(traders, tradeFlows, model);
+  const tradeWith = (country) => {
+    const imports = {};
+    Object.keys(trade.exports).filter(partner => partner !== country).forEach(partner => {
+      imports[partner] = trade.exports[partner][country];
+    });
+    return { exports: trade.exports[country], imports };
+  };
+
+  // Second pass: trade, gold, output and scores
+  Object.entries(outcomes).forEach(([country, outcome]) => {
+    const { policy, prevData, eventEffect, loanEffect, gdpGrowth, inflation, unemployment, retaliation, reconstructionSpending, capitalControls } = outcome;
+
+    if (outcome.missed) {
+      // If no policy submitted, use defaults
+      const { debtChange, ...budget } = calculateBudget(country, prevData, model.missedPolicyGrowth, prevData ? prevData.inflation : 0, 0, model);
+      results[country] = {
+        ...prevData,
+        gdpGrowth: model.missedPolicyGrowth, // Penalty for not submitting policy
+        tradeBalance: trade.balances[country],
+        ...budget,
+        ...tradeWith(country),
+        tradeRetaliation: false,
+        ...debtAfter(loans, country, currentYear),
+        loanConditionsBroken: []
+      };
+      return;
+    }
+
+    // Calculate trade balance: sales to partners minus purchases from them
+    const tradeBalance = trade.balances[country] + eventEffect.tradeBalance;
+
+    // Calculate gold reserves
+    let goldReserves = prevData.goldReserves;
+    // Trade surplus = gold inflow, deficit = outflow (eased for reserve currencies and by capital controls)
+    if (tradeBalance > 0) {
+      goldReserves += tradeBalance * model.goldInflowRate * agreements.goldInflowMultiplier;
+    } else {
+      const ownControls = 1 - capitalControls / 100 * model.capitalControlDamping;
+      goldReserves += tradeBalance * model.goldOutflowRate * goldOutflowMultiplier(agreements, country, currentYear) * ownControls; // Faster outflow than inflow
+    }
+    goldReserves += hotMoneyFlow(agreements, policy.centralBankRate, model);
+    // IMF loans arrive as reserves, and repayments are paid out of them
+    goldReserves += loanEffect.goldReserves;
+    goldReserves = Math.max(0, goldReserves + eventEffect.goldReserves);
+
+    // Update industrial output
+    let industrialOutput = prevData.industrialOutput;
+    const prevIndustrialOutput = prevData.industrialOutput;
+    industrialOutput += gdpGrowth * model.outputPerGrowth;
+    industrialOutput = Math.max(0, industrialOutput);
+    const outputGrowth = industrialOutput - prevIndustrialOutput;
+
+    // Calculate gold change
+    const goldChange = goldReserves - prevData.goldReserves;
+
+    // Government budget: reconstruction spending and interest on the war debt (fiscal.js)
+    const { debtChange, ...budget } = calculateBudget(country, prevData, gdpGrowth, inflation, reconstructionSpending, model);
+
+    // Store results
+    results[country] = {
+      gdpGrowth: Math.round(gdpGrowth * 10) / 10,
+      goldReserves: Math.round(goldReserves),
+      unemployment: Math.round(unemployment * 10) / 10,
+      tradeBalance: Math.round(tradeBalance),
+      inflation: Math.round(inflation * 10) / 10,
+      industrialOutput: Math.round(industrialOutput * 10) / 10,
+      ...budget,
+      ...tradeWith(country),
+      tradeRetaliation: retaliation,
+      ...debtAfter(loans, country, currentYear),
+      loanConditionsBroken: loanEffect.conditionsBroken
+    };
+
+    // Update country score based on performance
+    const performanceResult = calculatePerformanceScore({
+      gdp: gdpGrowth,
+      unemployment: unemployment,
+      inflation: inflation,
+      trade: tradeBalance,
+      gold: goldChange,
+      output: outputGrowth,
+      debt: debtChange
+    }, scoring);
+
+    yearScores[country] = {
+      total: performanceResult.score,
+      breakdown: performanceResult.breakdown
+    };
+  });
+
+  return { results, yearScores };
+}
+
+// What a proposed policy would do this year, with the randomness turned off.
+// This year's other policies are private, so every other country is assumed to
+// repeat its last policy (or play neutral settings before its first).
+// Returns null for a country with no figures for the current year.
+function forecastYear(room, country, policy) {
+  const { model } = getScenario(room.scenario);
+  const policies = {};
+  Object.values(room.players).forEach(player => {
+    policies[player.country] = lastPolicy(room, player.country) || {
+      centralBankRate: model.optimalCentralBankRate,
+      exchangeRate: 1.0,
+      tariffRate: model.optimalTariff[player.country] ?? model.optimalTariff.default
+    };
+  });
+  policies[country] = policy;
+
+  const { results, yearScores } = simulateYear(room, policies, { randomness: false });
+  if (!results[country] || !yearScores[country]) return null;
+  return { ...results[country], score: yearScores[country].total, breakdown: yearScores[country].breakdown };
+}
+
+// Calculate performance score for the year from the scenario's scoring bands.
+// values has one entry per category in PHASE2_CATEGORIES.
+function calculatePerformanceScore(values, scoring) {
+  let score = 0;
+  const breakdown = {};
+  PHASE2_CATEGORIES.forEach(category => {
+    const value = values[category];
+    breakdown[category] = scoreBand(scoring[category], value);
+    score += breakdown[category];
+  });
+
+  return { score, breakdown };
+}
+
+module.exports = { simulateYear, forecastYear, calculatePerformanceScore };
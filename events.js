@@ -0,0 +1,62 @@
+// events.js - Historical event cards for Phase 2 (defined in historical-events.json)
+// Each event lists the years it is active (the year players set policies for),
+// a historical context shown to players, and effects that are added to the
+// economic model's results for the targeted countries.
+
+const gameData = require('./game-data.json');
+const { events: HISTORICAL_EVENTS } = require('./historical-events.json');
+
+const EVENT_VARIABLES = ['gdpGrowth', 'inflation', 'unemployment', 'tradeBalance', 'goldReserves'];
+
+// Catch mistakes in the data file at startup rather than mid-game
+function validateEvents(events) {
+  const ids = new Set();
+  events.forEach(event => {
+    if (!event.id || ids.has(event.id)) throw new Error(`Event ids must be unique and non-empty: "${event.id}"`);
+    ids.add(event.id);
+
+    if (!event.title || !event.context) throw new Error(`Event ${event.id} needs a title and context`);
+    if (!Array.isArray(event.years) || !event.years.every(Number.isInteger)) {
+      throw new Error(`Event ${event.id} years must be a list of years`);
+    }
+
+    (event.effects || []).forEach(effect => {
+      if (!Array.isArray(effect.countries) || effect.countries.length === 0) {
+        throw new Error(`Event ${event.id} has an effect with no countries`);
+      }
+      effect.countries.forEach(country => {
+        if (!gameData.countries[country]) throw new Error(`Event ${event.id} targets unknown country ${country}`);
+      });
+      Object.keys(effect).filter(key => key !== 'countries').forEach(key => {
+        if (!EVENT_VARIABLES.includes(key) || typeof effect[key] !== 'number') {
+          throw new Error(`Event ${event.id} has an invalid effect "${key}" (use numbers for: ${EVENT_VARIABLES.join(', ')})`);
+        }
+      });
+    });
+  });
+  return events;
+}
+
+validateEvents(HISTORICAL_EVENTS);
+
+function eventsForYear(year, events = HISTORICAL_EVENTS) {
+  return events.filter(event => event.years.includes(year));
+}
+
+// Total change to each variable for one country from a year's events
+function eventEffects(events, country) {
+  const totals = {};
+  EVENT_VARIABLES.forEach(variable => { totals[variable] = 0; });
+
+  events.forEach(event => {
+    (event.effects || [])
+      .filter(effect => effect.countries.includes(country))
+      .forEach(effect => {
+        EVENT_VARIABLES.forEach(variable => { totals[variable] += effect[variable] || 0; });
+      });
+  });
+
+  return totals;
+}
+
+module.exports = { HISTORICAL_EVENTS, EVENT_VARIABLES, eventsForYear, eventEffects, validateEvents };
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// export-gradebook.js - Export a room's per-student results for a gradebook
+// Usage: node export-gradebook.js <roomId> [--format csv|json] [--output file]
+// Reads the same storage as server-multiroom.js (set STORAGE_BACKEND=sqlite if the server uses it)
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { buildGradebook, toCsv } = require('./gradebook');
+
+function parseArgs(argv) {
+  const options = { roomId: null, format: 'csv', output: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') options.format = argv[++i];
+    else if (argv[i] === '--output') options.output = argv[++i];
+    else options.roomId = argv[i];
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+const storage = createStorage({
+  jsonFile: path.join(__dirname, 'game-state-multiroom.json'),
+  sqliteFile: path.join(__dirname, 'game-state-multiroom.db')
+});
+
+if (!options.roomId || !['csv', 'json'].includes(options.format)) {
+  console.error('Usage: node export-gradebook.js <roomId> [--format csv|json] [--output file]');
+  const active = storage.listActiveRooms();
+  const archived = storage.listArchivedRooms();
+  if (active.length > 0) console.error(`\n🏠 Active rooms: ${active.join(', ')}`);
+  if (archived.length > 0) console.error(`📦 Archived rooms: ${archived.join(', ')}`);
+  storage.close();
+  process.exit(1);
+}
+
+const room = storage.loadRoom(options.roomId);
+if (!room) {
+  console.error(`❌ Room ${options.roomId} not found in ${storage.location}`);
+  storage.close();
+  process.exit(1);
+}
+
+const rows = buildGradebook(room, storage.loadUsers());
+storage.close();
+
+const output = options.format === 'csv'
+  ? toCsv(rows)
+  : JSON.stringify({ roomId: options.roomId, students: rows }, null, 2) + '\n';
+
+if (options.output) {
+  fs.writeFileSync(options.output, output);
+  console.log(`✅ Wrote ${rows.length} students from room ${options.roomId} to ${options.output}`);
+} else {
+  process.stdout.write(output);
+}
@@ -0,0 +1,40 @@
+// fiscal.js - Government budgets for the Phase 2 model
+// Each country starts with its GDP and war debt from game-data.json ($M). Every
+// year the government pays interest on the debt and spends on reconstruction;
+// without spending it runs the scenario's baseBudgetBalance as a surplus. The
+// deficit is added to the debt. GDP is nominal, so inflation shrinks the debt
+// relative to GDP, as it did for most countries after the war.
+
+const gameData = require('./game-data.json');
+
+// The 1946 figures, from game-data.json unless the scenario overrides them
+function startingBudget(initialData) {
+  return {
+    gdp: initialData.gdp,
+    budgetDeficit: 0,
+    debt: initialData.warDebt,
+    debtToGdp: Math.round(initialData.warDebt / initialData.gdp * 1000) / 10
+  };
+}
+
+// The year's GDP, deficit (% of GDP) and debt after spending the given share of GDP
+function calculateBudget(country, prevData, gdpGrowth, inflation, spending, model) {
+  // Rooms that reached Phase 2 before budgets were tracked start from game-data.json
+  const prev = prevData && prevData.gdp !== undefined ? prevData : startingBudget(gameData.economicData[country]);
+
+  const gdp = prev.gdp * (1 + gdpGrowth / 100) * (1 + inflation / 100);
+  const interest = prev.debt * model.debtInterestRate / 100;
+  const budgetDeficit = spending - model.baseBudgetBalance + interest / gdp * 100;
+  const debt = Math.max(0, prev.debt + budgetDeficit / 100 * gdp);
+  const debtToGdp = debt / gdp * 100;
+
+  return {
+    gdp: Math.round(gdp),
+    budgetDeficit: Math.round(budgetDeficit * 10) / 10,
+    debt: Math.round(debt),
+    debtToGdp: Math.round(debtToGdp * 10) / 10,
+    debtChange: debtToGdp - prev.debtToGdp
+  };
+}
+
+module.exports = { startingBudget, calculateBudget };
@@ -1,65 +1,80 @@
 #!/usr/bin/env node
-// fix-admin-role.js - Fix admin role in existing data
+// fix-admin-role.js - Set a user's role in existing data
+// Usage: node fix-admin-role.js <username> [superadmin|instructor|player|observer]
 
 const fs = require('fs');
 const path = require('path');
+const { createStorage } = require('./storage');
+const { revokeSessions } = require('./auth');
 
-const STATE_FILE = path.join(__dirname, 'game-state-multiroom.json');
+const ROLES = ['superadmin', 'instructor', 'player', 'observer'];
 
-console.log('🔧 Fixing Admin Role in Data\n');
+const [username, role = 'superadmin'] = process.argv.slice(2);
+
+console.log('🔧 Setting User Role in Data\n');
 console.log('=' .repeat(60));
 
-if (!fs.existsSync(STATE_FILE)) {
-  console.log('\n❌ No data file found!');
-  console.log(`   Looking for: ${STATE_FILE}`);
-  process.exit(0);
+if (!username || !ROLES.includes(role)) {
+  console.log('\nUsage: node fix-admin-role.js <username> [role]');
+  console.log(`   Roles: ${ROLES.join(', ')} (default: superadmin)`);
+  console.log('   Set STORAGE_BACKEND=sqlite if the server uses it');
+  process.exit(1);
 }
 
 try {
-  const data = fs.readFileSync(STATE_FILE, 'utf8');
-  const state = JSON.parse(data);
+  // Same storage as server-multiroom.js, JSON files or SQLite
+  const storage = createStorage({
+    jsonFile: path.join(__dirname, 'game-state-multiroom.json'),
+    sqliteFile: path.join(__dirname, 'game-state-multiroom.db')
+  });
   
-  console.log('\n📊 Current Users:');
-  let fixed = false;
+  // Loading the rooms moves any rooms out of an older single-file save, which
+  // saving the users would otherwise overwrite
+  storage.loadActiveRooms();
+  const users = storage.loadUsers();
   
-  Object.entries(state.users || {}).forEach(([username, user]) => {
-    console.log(`\n   Username: ${username}`);
-    console.log(`   Role: ${user.role || 'undefined'}`);
-    console.log(`   Player ID: ${user.playerId}`);
-    
-    // Check if this should be superadmin
-    const shouldBeAdmin = username.toLowerCase() === 'jjucovy@gmail.com' || 
-                          username.toLowerCase() === 'jjucovy';
-    
-    if (shouldBeAdmin && user.role !== 'superadmin') {
-      console.log(`   ⚠️  Should be superadmin! Fixing...`);
-      user.role = 'superadmin';
-      fixed = true;
-    } else if (shouldBeAdmin) {
-      console.log(`   ✅ Already superadmin`);
-    }
+  if (Object.keys(users).length === 0) {
+    console.log('\n❌ No users found!');
+    console.log(`   Looking in: ${storage.location} (${storage.name})`);
+    storage.close();
+    process.exit(0);
+  }
+  
+  console.log('\n📊 Current Users:');
+  Object.entries(users).forEach(([name, user]) => {
+    console.log(`   ${name}: ${user.role || 'undefined'}`);
   });
   
-  if (fixed) {
+  const user = users[username];
+  if (!user) {
+    console.log(`\n❌ User not found: ${username}`);
+    console.log('   Register the account in the game first, then run this again.');
+    storage.close();
+    process.exit(1);
+  }
+  
+  if (user.role === role) {
+    console.log(`\n✅ ${username} is already ${role} - no fixes needed!`);
+  } else {
     // Backup
-    const backupFile = STATE_FILE.replace('.json', '-backup-before-fix.json');
-    fs.writeFileSync(backupFile, data);
+    const backupFile = path.join(__dirname, 'users-backup-before-fix.json');
+    fs.writeFileSync(backupFile, JSON.stringify(users, null, 2));
     console.log(`\n💾 Backup created: ${path.basename(backupFile)}`);
     
+    console.log(`\n⚠️  Changing ${username}: ${user.role || 'undefined'} → ${role}`);
+    user.role = role;
+    revokeSessions(user); // Logged-in sessions must log in again under the new role
+    
     // Save fixed
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    storage.saveUsers(users);
     console.log(`\n✅ Fixed and saved!`);
     console.log('\nRestart the server for changes to take effect.');
-  } else {
-    console.log(`\n✅ No fixes needed - all roles correct!`);
   }
+  storage.close();
   
   console.log('\n' + '='.repeat(60));
-  console.log('\n💡 If you still have issues:');
-  console.log('   1. Delete game-state-multiroom.json');
-  console.log('   2. Restart server');
-  console.log('   3. Register as jjucovy@gmail.com or jjucovy');
-  console.log('   4. You will be superadmin automatically\n');
+  console.log('\n💡 To make new accounts superadmin automatically:');
+  console.log('   SUPERADMIN_USERNAMES=you@example.com ./start-multiroom.sh\n');
   
 } catch (err) {
   console.error('\n❌ Error:', err.message);
@@ -0,0 +1,103 @@
+// gradebook.js - Per-student results for a room, as JSON or CSV
+// Used by the /api gradebook route in server-multiroom.js and by export-gradebook.js
+
+const { PHASE2_CATEGORIES } = require('./scenarios');
+
+const CSV_COLUMNS = [
+  'username',
+  'country',
+  'phase1_points',
+  ...PHASE2_CATEGORIES.map(category => `phase2_${category}`),
+  'phase2_points',
+  'achievement_points',
+  'achievements',
+  'votes_cast',
+  'policies_submitted',
+  'total_points',
+  'final_rank'
+];
+
+function findUsername(users, playerId) {
+  const entry = Object.entries(users || {}).find(([, user]) => user.playerId === playerId);
+  return entry ? entry[0] : playerId;
+}
+
+// One row per seated student, best score first
+function buildGradebook(room, users) {
+  const phase2 = room.phase2 || {};
+  const yearScores = phase2.yearScores || {};
+  const policies = phase2.policies || {};
+  const achievements = phase2.achievements || {};
+
+  // Bots (bots.js) hold seats but are not students
+  const rows = Object.values(room.players).filter(player => !player.bot).map(player => {
+    const country = player.country;
+
+    const phase2Points = {};
+    PHASE2_CATEGORIES.forEach(category => { phase2Points[category] = 0; });
+    let phase2Total = 0;
+    Object.values(yearScores).forEach(countries => {
+      const yearScore = countries[country];
+      if (!yearScore) return;
+      phase2Total += yearScore.total;
+      PHASE2_CATEGORIES.forEach(category => {
+        phase2Points[category] += yearScore.breakdown[category] || 0;
+      });
+    });
+
+    const countryAchievements = achievements[country] || { list: [], totalBonus: 0 };
+    const totalPoints = room.scores[country] || 0;
+
+    return {
+      username: findUsername(users, player.id),
+      country: country,
+      // Round points plus deal transfers and penalties: whatever is not from Phase 2
+      phase1Points: totalPoints - phase2Total - countryAchievements.totalBonus,
+      phase2Points: phase2Points,
+      phase2Total: phase2Total,
+      achievementPoints: countryAchievements.totalBonus,
+      achievements: countryAchievements.list.map(achievement => achievement.name),
+      votesCast: (room.roundHistory || []).filter(round => round.ballots && round.ballots[country]).length,
+      policiesSubmitted: Object.values(policies).filter(countries => countries[country]).length,
+      totalPoints: totalPoints
+    };
+  });
+
+  rows.sort((a, b) => b.totalPoints - a.totalPoints || a.username.localeCompare(b.username));
+
+  // Tied students share a rank (1, 2, 2, 4)
+  rows.forEach((row, index) => {
+    row.finalRank = index > 0 && rows[index - 1].totalPoints === row.totalPoints
+      ? rows[index - 1].finalRank
+      : index + 1;
+  });
+
+  return rows;
+}
+
+// Text starting with = + - @ (or a tab or carriage return) is a formula to spreadsheet
+// apps, so it is prefixed with ' to be shown as text. Numbers are left alone.
+function csvField(value) {
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = rows.map(row => [
+    row.username,
+    row.country,
+    row.phase1Points,
+    ...PHASE2_CATEGORIES.map(category => row.phase2Points[category]),
+    row.phase2Total,
+    row.achievementPoints,
+    row.achievements.join('; '),
+    row.votesCast,
+    row.policiesSubmitted,
+    row.totalPoints,
+    row.finalRank
+  ].map(csvField).join(','));
+
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = { buildGradebook, toCsv, PHASE2_CATEGORIES, CSV_COLUMNS };
@@ -0,0 +1,211 @@
+// institutions.js - The IMF and World Bank in Phase 2 (rules in institutions.json)
+// Which rules an institution follows depends on how the room decided the Phase 1
+// issue behind it; with no agreement, or an option with no rules, it does not lend.
+// Loans are stored as a list of requests with their terms. Disbursements,
+// repayments, debt and broken conditions are all worked out from that list, so
+// replaying a room gives the same results.
+
+const gameData = require('./game-data.json');
+const INSTITUTIONS = require('./institutions.json');
+const { phase1Decision, parValue } = require('./agreements');
+
+const INSTITUTION_IDS = ['imf', 'worldBank'];
+
+// Catch mistakes in the data file at startup rather than mid-game
+[...INSTITUTION_IDS.map(id => [id, INSTITUTIONS[id]]), ['quotaRules', INSTITUTIONS.quotaRules]].forEach(([id, { issueId, options }]) => {
+  const issue = gameData.issues.find(i => i.id === issueId);
+  if (!issue) throw new Error(`${id} refers to unknown issue ${issueId}`);
+  Object.keys(options).forEach(optionId => {
+    if (!issue.options.some(option => option.id === optionId)) {
+      throw new Error(`${id} has rules for unknown option "${optionId}" of issue ${issue.id}`);
+    }
+  });
+});
+
+// IMF quotas after the IMF Voting Power decision
+function imfQuotas(room) {
+  const { issueId, options } = INSTITUTIONS.quotaRules;
+  const optionId = phase1Decision(room, issueId);
+  const rules = (optionId && options[optionId]) || {};
+  const base = INSTITUTIONS.quotas;
+  const average = Object.values(base).reduce((sum, quota) => sum + quota, 0) / Object.keys(base).length;
+
+  const quotas = {};
+  Object.entries(base).forEach(([country, quota]) => {
+    let adjusted = quota * ((rules.multipliers && rules.multipliers[country]) || 1);
+    if (rules.equalization) adjusted += (average - adjusted) * rules.equalization;
+    quotas[country] = Math.round(adjusted);
+  });
+  return { quotas, quotaSummary: rules.summary };
+}
+
+// Rules for each institution in this room, fixed when Phase 2 starts
+function createInstitutions(room) {
+  const institutions = {};
+  INSTITUTION_IDS.forEach(id => {
+    const { name, issueId, options } = INSTITUTIONS[id];
+    const optionId = phase1Decision(room, issueId);
+    const rules = optionId && options[optionId];
+    institutions[id] = rules ? { name, optionId, ...rules } : null;
+  });
+
+  if (institutions.imf) {
+    const { quotas, quotaSummary } = imfQuotas(room);
+    institutions.imf.quotas = quotas;
+    if (quotaSummary) institutions.imf.summary += ` ${quotaSummary}`;
+  }
+  return institutions;
+}
+
+// Members pay part of their IMF quota in gold when the Fund opens
+function quotaGoldPayment(imf, country) {
+  return Math.round((imf.quotas[country] || 0) * INSTITUTIONS.goldSubscription);
+}
+
+function loanLimit(rules, country) {
+  return rules.quotaMultiple !== undefined
+    ? (rules.quotas[country] || 0) * rules.quotaMultiple
+    : rules.maxLoan;
+}
+
+// Debt left on a loan once the given year's results are in
+function outstandingAfter(loan, year) {
+  if (year < loan.year || loan.termYears === 0) return 0;
+  return loan.amount * Math.max(0, 1 - (year - loan.year) / loan.termYears);
+}
+
+function outstandingDebt(loans, country, institution, year) {
+  return loans
+    .filter(loan => loan.country === country && loan.institution === institution)
+    .reduce((sum, loan) => sum + outstandingAfter(loan, year), 0);
+}
+
+function describeConditions(conditions) {
+  const terms = [];
+  if (conditions.minCentralBankRate !== undefined) terms.push(`central bank rate at least ${conditions.minCentralBankRate}%`);
+  if (conditions.maxTariffRate !== undefined) terms.push(`tariffs at most ${conditions.maxTariffRate}%`);
+  return terms.length > 0 ? terms.join(' and ') : 'none';
+}
+
+// Returns why a loan can't be made, or null if it can
+function checkLoanRequest(room, country, institution, amount) {
+  if (!INSTITUTION_IDS.includes(institution)) return `Institution must be one of: ${INSTITUTION_IDS.join(', ')}`;
+
+  const { name } = INSTITUTIONS[institution];
+  const rules = room.phase2.institutions && room.phase2.institutions[institution];
+  if (!rules) return `The ${name} does not lend in this room`;
+  if (rules.eligible && !rules.eligible.includes(country)) {
+    return `The ${name} only lends to ${rules.eligible.map(c => gameData.countries[c]?.name || c).join(', ')}`;
+  }
+  if (!Number.isFinite(amount) || amount <= 0) return 'Loan amount must be a positive number';
+
+  const year = room.phase2.currentYear;
+  const loans = room.phase2.loans || [];
+  if (loans.some(loan => loan.country === country && loan.institution === institution && loan.year === year)) {
+    return `You have already borrowed from the ${name} for ${year}`;
+  }
+
+  const available = loanLimit(rules, country) - outstandingDebt(loans, country, institution, year - 1);
+  if (amount > available) return `The ${name} can lend you at most $${Math.max(0, Math.floor(available))}M more`;
+
+  return null;
+}
+
+// Returns why the IMF won't approve a new par value, or null if it will.
+// A devaluation needs a "fundamental disequilibrium": a trade deficit last year.
+function checkParChange(room, country, exchangeRate) {
+  const imf = room.phase2.institutions && room.phase2.institutions.imf;
+  const agreements = room.phase2.agreements || {};
+  if (agreements.exchangeRateBand === null || agreements.exchangeRateBand === undefined) {
+    return 'Exchange rates are not pegged in this room, so no approval is needed';
+  }
+  if (!imf) return 'There is no IMF in this room to approve a new par value';
+  if (!Number.isFinite(exchangeRate) || exchangeRate <= 0) return 'Exchange rate must be a positive number';
+
+  const year = room.phase2.currentYear;
+  if (room.phase2.parChanges && room.phase2.parChanges[year] && room.phase2.parChanges[year][country] !== undefined) {
+    return `The IMF has already set your par value for ${year}`;
+  }
+
+  const par = parValue(room, country);
+  if (Math.abs(exchangeRate - par) / par > INSTITUTIONS.maxParChange) {
+    return `The IMF only approves changes of up to ${INSTITUTIONS.maxParChange * 100}% (your par value is ${par})`;
+  }
+  const lastYear = room.phase2.yearlyData[year] && room.phase2.yearlyData[year][country];
+  if (exchangeRate < par && !(lastYear && lastYear.tradeBalance < 0)) {
+    return 'The IMF only approves a devaluation for a country with a trade deficit';
+  }
+  return null;
+}
+
+function createLoan(room, country, institution, amount) {
+  const rules = room.phase2.institutions[institution];
+  const year = room.phase2.currentYear;
+  return {
+    id: `loan_${year}_${country}_${institution}`,
+    country: country,
+    institution: institution,
+    year: year,
+    amount: amount,
+    interestRate: rules.interestRate,
+    termYears: rules.termYears,
+    conditions: { ...rules.conditions },
+    requestedAt: Date.now()
+  };
+}
+
+function breaksConditions(conditions, policy) {
+  return (conditions.minCentralBankRate !== undefined && policy.centralBankRate < conditions.minCentralBankRate) ||
+    (conditions.maxTariffRate !== undefined && policy.tariffRate > conditions.maxTariffRate);
+}
+
+// What a country's loans do to its economy in the year played with this policy
+function loanEffects(loans, country, year, policy) {
+  const effect = { gdpGrowth: 0, goldReserves: 0, conditionsBroken: [] };
+
+  loans.filter(loan => loan.country === country).forEach(loan => {
+    if (loan.year === year) {
+      // IMF money goes into the reserves; World Bank money is spent on rebuilding
+      if (loan.institution === 'imf') {
+        effect.goldReserves += loan.amount;
+      } else {
+        effect.gdpGrowth += loan.amount * INSTITUTIONS.reconstructionGrowth;
+      }
+    }
+
+    // Equal installments of the principal, plus interest on what is still owed
+    if (loan.termYears > 0 && year > loan.year && year <= loan.year + loan.termYears) {
+      effect.goldReserves -= loan.amount / loan.termYears + outstandingAfter(loan, year - 1) * loan.interestRate / 100;
+    }
+
+    // Conditions hold for the year of the loan and the rest of its term
+    const bound = year >= loan.year && year < loan.year + Math.max(1, loan.termYears);
+    if (bound && breaksConditions(loan.conditions, policy) && !effect.conditionsBroken.includes(loan.institution)) {
+      effect.conditionsBroken.push(loan.institution);
+      effect.gdpGrowth -= INSTITUTIONS.conditionalityPenalty;
+    }
+  });
+
+  return effect;
+}
+
+// Outstanding debt to each institution once the given year's results are in
+function debtAfter(loans, country, year) {
+  return {
+    imfDebt: Math.round(outstandingDebt(loans, country, 'imf', year)),
+    worldBankDebt: Math.round(outstandingDebt(loans, country, 'worldBank', year))
+  };
+}
+
+module.exports = {
+  INSTITUTIONS,
+  INSTITUTION_IDS,
+  createInstitutions,
+  quotaGoldPayment,
+  checkLoanRequest,
+  checkParChange,
+  createLoan,
+  describeConditions,
+  loanEffects,
+  debtAfter
+};
@@ -0,0 +1,92 @@
+// json-patch.js - JSON-patch style diffs for sending state changes
+// Used by the servers (require('./json-patch')) and by the browser client
+// (<script src="/json-patch.js">, available as window.JsonPatch).
+//
+// Operations follow RFC 6902: { op: 'add' | 'remove' | 'replace', path, value },
+// with paths as JSON pointers ("/players/abc/country"). Both documents must be
+// plain JSON (no undefined values, functions or dates).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.JsonPatch = factory();
+  }
+})(this, function () {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const escapeToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  const unescapeToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+  // List the operations that turn `before` into `after`
+  function diff(before, after, path = '', ops = []) {
+    if (before === after) return ops;
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const common = Math.min(before.length, after.length);
+      for (let i = 0; i < common; i++) {
+        diff(before[i], after[i], `${path}/${i}`, ops);
+      }
+      for (let i = common; i < after.length; i++) {
+        ops.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+      }
+      // Remove from the end so earlier indexes stay valid
+      for (let i = before.length - 1; i >= after.length; i--) {
+        ops.push({ op: 'remove', path: `${path}/${i}` });
+      }
+      return ops;
+    }
+
+    if (isObject(before) && isObject(after)) {
+      Object.keys(before).forEach(key => {
+        if (!(key in after)) ops.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+      });
+      Object.keys(after).forEach(key => {
+        const keyPath = `${path}/${escapeToken(key)}`;
+        if (!(key in before)) {
+          ops.push({ op: 'add', path: keyPath, value: after[key] });
+        } else {
+          diff(before[key], after[key], keyPath, ops);
+        }
+      });
+      return ops;
+    }
+
+    ops.push({ op: 'replace', path, value: after });
+    return ops;
+  }
+
+  // Return a new document with the operations applied; `doc` is left untouched
+  // and only the objects along each changed path are copied
+  function applyPatch(doc, ops) {
+    return ops.reduce((current, { op, path, value }) => {
+      if (path === '') return op === 'remove' ? null : value;
+
+      const tokens = path.slice(1).split('/').map(unescapeToken);
+      const result = Array.isArray(current) ? current.slice() : { ...current };
+      let parent = result;
+
+      tokens.slice(0, -1).forEach(token => {
+        const child = parent[token];
+        parent[token] = Array.isArray(child) ? child.slice() : { ...child };
+        parent = parent[token];
+      });
+
+      const last = tokens[tokens.length - 1];
+      if (Array.isArray(parent)) {
+        const index = last === '-' ? parent.length : Number(last);
+        if (op === 'add') parent.splice(index, 0, value);
+        else if (op === 'remove') parent.splice(index, 1);
+        else parent[index] = value;
+      } else if (op === 'remove') {
+        delete parent[last];
+      } else {
+        parent[last] = value;
+      }
+
+      return result;
+    }, doc);
+  }
+
+  return { diff, applyPatch };
+});
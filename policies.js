@@ -0,0 +1,82 @@
+// policies.js - Checks a Phase 2 policy submission before it is stored
+// Each lever must be a number within the scenario's range (policyLevers), on one
+// of its steps, and within its yearly change limit; levers with a default may be
+// left out. A pegged exchange rate must also stay within the band the Phase 1
+// agreements allow, around a new par value if the submission asks the IMF for one.
+
+const { POLICY_LEVERS, getScenario } = require('./scenarios');
+const { lastPolicy, parValue, checkExchangeRate } = require('./agreements');
+const { checkParChange } = require('./institutions');
+
+const LEVER_LABELS = {
+  centralBankRate: 'Central bank rate',
+  exchangeRate: 'Exchange rate',
+  tariffRate: 'Tariff rate',
+  reconstructionSpending: 'Reconstruction spending',
+  rationing: 'Rationing',
+  capitalControls: 'Capital controls'
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+function onStep(value, min, step) {
+  const steps = (value - min) / step;
+  return Math.abs(steps - Math.round(steps)) < 1e-6;
+}
+
+// Returns the cleaned-up policy, the par value the IMF approved with it (or null)
+// and a list of { field, code, message } errors
+function validatePolicy(room, country, submission) {
+  const levers = getScenario(room.scenario).policyLevers;
+  const previous = lastPolicy(room, country);
+  const policy = {};
+  const errors = [];
+
+  let par = parValue(room, country);
+  let approvedPar = null;
+  if (!isMissing(submission.parValueRequest)) {
+    const requested = Number(submission.parValueRequest);
+    const parError = requested === par ? null : checkParChange(room, country, requested);
+    if (parError) {
+      errors.push({ field: 'parValueRequest', code: 'par_refused', message: parError });
+    } else if (requested !== par) {
+      par = requested;
+      approvedPar = requested;
+    }
+  }
+
+  POLICY_LEVERS.forEach(lever => {
+    const { min, max, step, maxChange, default: fallback } = levers[lever];
+    const label = LEVER_LABELS[lever];
+    const raw = isMissing(submission[lever]) ? fallback : submission[lever];
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    // Exchange rates change from their par value, which the IMF may have moved
+    const before = lever === 'exchangeRate' ? par : previous && previous[lever];
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push({ field: lever, code: 'invalid', message: `${label} must be a number` });
+    } else if (value < min || value > max) {
+      errors.push({ field: lever, code: 'out_of_range', message: `${label} must be between ${min} and ${max}` });
+    } else if (!onStep(value, min, step)) {
+      errors.push({ field: lever, code: 'step', message: `${label} must be in steps of ${step}` });
+    } else if (typeof before === 'number' && Math.abs(value - before) > maxChange + 1e-9) {
+      errors.push({ field: lever, code: 'change_limit', message: `${label} can change by at most ${maxChange} a year (from ${before})` });
+    } else {
+      policy[lever] = value;
+    }
+  });
+
+  if (policy.exchangeRate !== undefined) {
+    const pegError = checkExchangeRate(room, country, policy.exchangeRate, par);
+    if (pegError) errors.push({ field: 'exchangeRate', code: 'peg', message: pegError });
+  }
+
+  const agreements = room.phase2.agreements || {};
+  if (policy.capitalControls > 0 && agreements.nationalCapitalControls === false) {
+    errors.push({ field: 'capitalControls', code: 'not_allowed', message: 'Capital controls are not allowed under free capital movement' });
+  }
+
+  return { policy, approvedPar, errors };
+}
+
+module.exports = { validatePolicy, LEVER_LABELS };
@@ -0,0 +1,28 @@
+// public-files.js - The client files both servers serve over HTTP
+// Only the files listed here are served. Game state files (game-state*.json,
+// the -rooms/ directories, backups) share this directory and hold password
+// hashes, room seeds, pending votes and private chat.
+
+const path = require('path');
+
+const PUBLIC_FILES = [
+  'index.html',
+  'index-multiroom-TERNARY-FIXED.html',
+  'index-template.html',
+  'diagnostics.html',
+  'test.html',
+  'test-react.html',
+  'styles.css',
+  'json-patch.js',
+  'game-data.json',
+  'military-deployments.json',
+  'world-map.svg'
+];
+
+function servePublicFiles(app) {
+  PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+  });
+}
+
+module.exports = { PUBLIC_FILES, servePublicFiles };
@@ -0,0 +1,42 @@
+// random.js - Seedable random numbers for the Phase 2 economic model
+// Each room stores a seed; the model draws from createRng(room.seed, year, country),
+// so the same seed and policies always produce the same yearly data.
+
+const crypto = require('crypto');
+
+const MAX_SEED = 0xFFFFFFFF;
+
+function randomSeed() {
+  return crypto.randomInt(0, MAX_SEED + 1);
+}
+
+function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+// FNV-1a hash of the seed and stream keys into a 32-bit state
+function hashKeys(keys) {
+  let hash = 0x811c9dc5;
+  const text = keys.join(':');
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// mulberry32 generator returning floats in [0, 1) like Math.random.
+// Keys give each year and country its own stream, so results do not depend
+// on the order countries are processed in.
+function createRng(seed, ...keys) {
+  let state = hashKeys([seed, ...keys]);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createRng, randomSeed, isValidSeed, MAX_SEED };
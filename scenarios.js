@@ -0,0 +1,201 @@
+// scenarios.js - Phase 2 scenario configs (scenarios/<name>.json)
+// A scenario sets the starting conditions, the 1946 trade flows, the allowed
+// policy settings, the economic model coefficients, the yearly scoring bands and
+// the achievement thresholds. Rooms pick one when
+// they are created. A scenario can "extends" another and list only what it changes:
+// objects are merged key by key, arrays (like scoring bands) are replaced whole.
+
+const fs = require('fs');
+const path = require('path');
+const gameData = require('./game-data.json');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const DEFAULT_SCENARIO = 'historical';
+
+// Phase 2 performance categories, in the order calculatePerformanceScore scores them
+const PHASE2_CATEGORIES = ['gdp', 'unemployment', 'inflation', 'trade', 'gold', 'output', 'debt'];
+
+const TOP_LEVEL_KEYS = ['extends', 'name', 'description', 'startingConditions', 'tradeFlows', 'policyLevers', 'model', 'scoring', 'achievements'];
+const STARTING_KEYS = ['unemployment', 'inflation', 'goldReserves', 'tradeBalance', 'industrialOutput', 'gdp', 'warDebt'];
+const BAND_KEYS = ['atLeast', 'above', 'atMost', 'below'];
+
+// Policies players set each Phase 2 year, in the order they are checked
+const POLICY_LEVERS = ['centralBankRate', 'exchangeRate', 'tariffRate', 'reconstructionSpending', 'rationing', 'capitalControls'];
+const LEVER_KEYS = ['min', 'max', 'step', 'maxChange'];
+
+const MODEL_KEYS = [
+  'baseGrowth', 'missedPolicyGrowth',
+  'optimalCentralBankRate', 'centralBankRatePenalty',
+  'exchangeRateGrowthEffect', 'tariffPenalty',
+  'gdpShockRange', 'inflationNoiseRange',
+  'lowRateThreshold', 'lowRateInflation', 'highRateThreshold', 'highRateDisinflation',
+  'jobGrowthThreshold', 'jobGrowthEffect', 'jobLossThreshold', 'jobLossEffect',
+  'minUnemployment', 'maxUnemployment',
+  'exportPriceEffect', 'importDemandEffect', 'tariffExportEffect', 'exportNoiseRange',
+  'retaliationThreshold', 'retaliationYears', 'retaliationTariff',
+  'goldInflowRate', 'goldOutflowRate', 'outputPerGrowth',
+  'spendingGrowthEffect', 'spendingInflationEffect', 'baseBudgetBalance', 'debtInterestRate',
+  'rationingGrowthCost', 'rationingInflationEffect', 'capitalControlDamping', 'capitalControlGrowthCost'
+];
+
+// Thresholds each achievement needs besides its points
+const ACHIEVEMENT_PARAMS = {
+  goldenAge: ['avgGdpGrowthAbove', 'avgUnemploymentBelow', 'minAvgInflation', 'maxAvgInflation'],
+  stableProsperity: ['maxInflation', 'maxUnemployment'],
+  tradeChampion: ['totalSurplusAbove'],
+  phoenixRising: ['gdpRatioAbove'],
+  survivedTheStorm: [],
+  greatLeap: ['avgGdpGrowthAbove'],
+  brettonWoodsLeader: [],
+  sovietMiracle: ['minAvgGdpGrowth'],
+  partitionSurvivor: ['gdpGrowth1947Above', 'gdpGrowth1948Above', 'unemployment1947Below', 'unemployment1948Below'],
+  postColonialSuccess: ['minAvgGdpGrowth', 'avgInflationBelow'],
+  nonAlignedLeader: ['minAvgTariff', 'maxAvgTariff'],
+  agriculturalPowerhouse: ['totalSurplusAbove', 'minAvgGdpGrowth'],
+  economicIndependence: ['minAvgGdpGrowth']
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function mergeScenario(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeScenario(base[key], value) : value;
+  });
+  return merged;
+}
+
+function checkKeys(object, allowed, where) {
+  if (!isObject(object)) throw new Error(`${where} must be an object`);
+  Object.keys(object).forEach(key => {
+    if (!allowed.includes(key)) throw new Error(`${where} has unknown key "${key}"`);
+  });
+}
+
+function checkNumbers(object, keys, where) {
+  keys.forEach(key => {
+    if (typeof object[key] !== 'number' || !Number.isFinite(object[key])) {
+      throw new Error(`${where}.${key} must be a number`);
+    }
+  });
+}
+
+function validateScenario(scenario, name) {
+  const where = `Scenario "${name}"`;
+  checkKeys(scenario, TOP_LEVEL_KEYS, where);
+  if (typeof scenario.name !== 'string' || !scenario.name) throw new Error(`${where} needs a name`);
+
+  const countries = Object.keys(gameData.countries);
+  checkKeys(scenario.startingConditions, countries, `${where} startingConditions`);
+  countries.forEach(country => {
+    const conditions = scenario.startingConditions[country];
+    const conditionsWhere = `${where} startingConditions.${country}`;
+    checkKeys(conditions, STARTING_KEYS, conditionsWhere);
+    checkNumbers(conditions, Object.keys(conditions), conditionsWhere);
+    checkNumbers(conditions, ['unemployment', 'inflation'], conditionsWhere);
+  });
+
+  // Exports from each country to every other country ($M)
+  checkKeys(scenario.tradeFlows, countries, `${where} tradeFlows`);
+  countries.forEach(seller => {
+    const buyers = countries.filter(buyer => buyer !== seller);
+    const flowsWhere = `${where} tradeFlows.${seller}`;
+    checkKeys(scenario.tradeFlows[seller], buyers, flowsWhere);
+    checkNumbers(scenario.tradeFlows[seller], buyers, flowsWhere);
+    buyers.forEach(buyer => {
+      if (scenario.tradeFlows[seller][buyer] < 0) throw new Error(`${flowsWhere}.${buyer} must not be negative`);
+    });
+  });
+
+  // Allowed range, step size and largest change from one year to the next. A lever
+  // with a default may be left out of a submission.
+  checkKeys(scenario.policyLevers, POLICY_LEVERS, `${where} policyLevers`);
+  POLICY_LEVERS.forEach(lever => {
+    const leverWhere = `${where} policyLevers.${lever}`;
+    checkKeys(scenario.policyLevers[lever], [...LEVER_KEYS, 'default'], leverWhere);
+    checkNumbers(scenario.policyLevers[lever], Object.keys(scenario.policyLevers[lever]), leverWhere);
+    checkNumbers(scenario.policyLevers[lever], LEVER_KEYS, leverWhere);
+    const { min, max, step, maxChange } = scenario.policyLevers[lever];
+    if (min >= max || step <= 0 || maxChange <= 0) {
+      throw new Error(`${leverWhere} needs min below max, and a positive step and maxChange`);
+    }
+    const fallback = scenario.policyLevers[lever].default;
+    if (fallback !== undefined && (fallback < min || fallback > max)) {
+      throw new Error(`${leverWhere}.default must be between min and max`);
+    }
+  });
+
+  checkKeys(scenario.model, [...MODEL_KEYS, 'optimalTariff'], `${where} model`);
+  checkNumbers(scenario.model, MODEL_KEYS, `${where} model`);
+  checkKeys(scenario.model.optimalTariff, ['default', ...countries], `${where} model.optimalTariff`);
+  checkNumbers(scenario.model.optimalTariff, Object.keys(scenario.model.optimalTariff), `${where} model.optimalTariff`);
+  checkNumbers(scenario.model.optimalTariff, ['default'], `${where} model.optimalTariff`);
+
+  // Bands are checked in order; the last one has no bounds and catches everything else
+  checkKeys(scenario.scoring, PHASE2_CATEGORIES, `${where} scoring`);
+  PHASE2_CATEGORIES.forEach(category => {
+    const bands = scenario.scoring[category];
+    const bandsWhere = `${where} scoring.${category}`;
+    if (!Array.isArray(bands) || bands.length === 0) throw new Error(`${bandsWhere} must be a list of bands`);
+    bands.forEach((band, index) => {
+      checkKeys(band, [...BAND_KEYS, 'points'], `${bandsWhere}[${index}]`);
+      checkNumbers(band, Object.keys(band), `${bandsWhere}[${index}]`);
+      checkNumbers(band, ['points'], `${bandsWhere}[${index}]`);
+    });
+    if (Object.keys(bands[bands.length - 1]).length !== 1) {
+      throw new Error(`${bandsWhere} must end with a band that has only points`);
+    }
+  });
+
+  checkKeys(scenario.achievements, Object.keys(ACHIEVEMENT_PARAMS), `${where} achievements`);
+  Object.entries(ACHIEVEMENT_PARAMS).forEach(([id, params]) => {
+    const achievementWhere = `${where} achievements.${id}`;
+    checkKeys(scenario.achievements[id], ['points', ...params], achievementWhere);
+    checkNumbers(scenario.achievements[id], ['points', ...params], achievementWhere);
+  });
+
+  return scenario;
+}
+
+function loadScenarios() {
+  const files = {};
+  fs.readdirSync(SCENARIOS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      files[file.slice(0, -'.json'.length)] = JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, file), 'utf8'));
+    });
+
+  const resolve = (name, seen = []) => {
+    if (!files[name]) throw new Error(`Unknown scenario "${name}"`);
+    if (seen.includes(name)) throw new Error(`Scenario "${name}" extends itself through ${seen.join(' -> ')}`);
+    const { extends: parent, ...scenario } = files[name];
+    return parent ? mergeScenario(resolve(parent, [...seen, name]), scenario) : scenario;
+  };
+
+  const scenarios = {};
+  Object.keys(files).forEach(name => {
+    scenarios[name] = validateScenario(resolve(name), name);
+  });
+  if (!scenarios[DEFAULT_SCENARIO]) throw new Error(`The default scenario "${DEFAULT_SCENARIO}" is missing`);
+  return scenarios;
+}
+
+const SCENARIOS = loadScenarios();
+
+// Rooms created before scenarios existed play the default one
+function getScenario(name) {
+  return SCENARIOS[name || DEFAULT_SCENARIO];
+}
+
+// Points for a value from the first band whose bounds it meets
+function scoreBand(bands, value) {
+  const band = bands.find(({ atLeast, above, atMost, below }) =>
+    (atLeast === undefined || value >= atLeast) &&
+    (above === undefined || value > above) &&
+    (atMost === undefined || value <= atMost) &&
+    (below === undefined || value < below)
+  );
+  return band.points;
+}
+
+module.exports = { SCENARIOS, DEFAULT_SCENARIO, PHASE2_CATEGORIES, POLICY_LEVERS, getScenario, scoreBand, validateScenario };
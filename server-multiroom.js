@@ -3,106 +3,320 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
 const PORT = process.env.PORT || 65002;
-const STATE_FILE = path.join(__dirname, 'game-state-multiroom.json');
+const { createStorage } = require('./storage');
+const { servePublicFiles } = require('./public-files');
+const JsonPatch = require('./json-patch');
+const { buildGradebook, toCsv } = require('./gradebook');
+const { renderDebrief } = require('./debrief');
+const { eventsForYear } = require('./events');
+const { SCENARIOS, DEFAULT_SCENARIO, getScenario } = require('./scenarios');
+const { startingBudget } = require('./fiscal');
+const { createAgreements } = require('./agreements');
+const { simulateYear, forecastYear } = require('./economy');
+const { validatePolicy } = require('./policies');
+const { BOT_STRATEGIES, chooseVote, choosePolicy } = require('./bots');
+const {
+  createInstitutions,
+  quotaGoldPayment,
+  checkLoanRequest,
+  checkParChange,
+  createLoan,
+  describeConditions
+} = require('./institutions');
+const { randomSeed, isValidSeed, MAX_SEED } = require('./random');
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createSessionToken,
+  verifySessionToken,
+  isCurrentSession,
+  revokeSessions
+} = require('./auth');
 
-// Serve multi-room HTML as the main page (MUST come before static middleware!)
+const storage = createStorage({
+  jsonFile: path.join(__dirname, 'game-state-multiroom.json'),
+  sqliteFile: path.join(__dirname, 'game-state-multiroom.db')
+});
+
+// Serve multi-room HTML as the main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index-multiroom-TERNARY-FIXED.html'));
 });
 
-// Serve static files (after the specific route)
-app.use(express.static(__dirname));
+// Serve the client files only, never the game state files next to them
+servePublicFiles(app);
 
 // Multi-room game state
 let globalState = {
-  users: {}, // username -> { password: hashedPassword, playerId: string, createdAt: timestamp }
+  users: {}, // username -> { password: hashedPassword, playerId: string, createdAt: timestamp, sessionVersion: number }
   rooms: {}, // roomId -> gameState
   roomList: [] // { id, name, host, playerCount, maxPlayers, status, createdAt }
 };
 
+// Last state sent for each view of a room and its version, so changes go out as patches
+const roomSync = {}; // roomId -> view key -> { version, state }
+
 // Load military deployments data
 const militaryDeploymentsData = require('./military-deployments.json');
 
+// Load countries, issues and starting economic data
+const gameData = require('./game-data.json');
+
+// Phase 2 runs from 1946 through 1952
+const PHASE2_START_YEAR = 1946;
+const PHASE2_MAX_YEARS = 7;
+
+// User roles
+// - superadmin: manages every room and every user's role
+// - instructor: creates rooms and manages the rooms they own
+// - player: joins a room as a country
+// - observer: watches rooms without playing
+const ROLES = ['superadmin', 'instructor', 'player', 'observer'];
+
+// Accounts registered with these usernames become superadmins (comma-separated)
+const SUPERADMIN_USERNAMES = (process.env.SUPERADMIN_USERNAMES || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Phase 1 voting rules a room can use
+// - majority: one country, one vote; the option with most votes wins
+// - weighted: IMF-style quota votes; the option with most voting power wins
+// - supermajority: quota votes; an option needs `threshold`% of the room's voting power
+const VOTING_RULES = ['majority', 'weighted', 'supermajority'];
+const DEFAULT_SUPERMAJORITY_THRESHOLD = 85;
+
+// Negotiation: side deals struck before each vote
+const MAX_DEAL_POINTS = 50; // largest score transfer a deal can promise
+const DEAL_BREACH_PENALTY = 15; // points lost for breaking a vote promise
+
+// Diplomatic chat
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_MESSAGES_PER_CHANNEL = 1000; // most recent messages sent to clients; the room keeps them all
+
+// Create empty Phase 2 state for a room
+function createPhase2State() {
+  return {
+    active: false,
+    currentYear: PHASE2_START_YEAR,
+    maxYears: PHASE2_MAX_YEARS,
+    yearlyData: {}, // year -> country -> economic data
+    policies: {}, // year -> country -> { centralBankRate, exchangeRate, tariffRate, ... } (POLICY_LEVERS)
+    achievements: {}, // country -> achievements earned
+    yearScores: {}, // year -> country -> score breakdown
+    events: {}, // year -> historical events announced that year
+    agreements: {}, // Phase 2 rules switched on by the Phase 1 votes (agreements.json)
+    institutions: {}, // imf / worldBank -> lending rules from the Phase 1 votes (null if it does not lend)
+    loans: [], // IMF and World Bank loans, with their terms
+    parChanges: {} // year -> country -> exchange rate the IMF approved
+  };
+}
+
+// Validate a requested voting rule, returning null if it is not allowed
+function normalizeVotingRule(votingRule) {
+  if (!votingRule) {
+    return { type: 'majority' };
+  }
+  
+  const type = typeof votingRule === 'string' ? votingRule : votingRule.type;
+  if (!VOTING_RULES.includes(type)) {
+    return null;
+  }
+  
+  if (type !== 'supermajority') {
+    return { type };
+  }
+  
+  const threshold = votingRule.threshold === undefined
+    ? DEFAULT_SUPERMAJORITY_THRESHOLD
+    : parseFloat(votingRule.threshold);
+  if (!(threshold > 50 && threshold <= 100)) {
+    return null;
+  }
+  
+  return { type, threshold };
+}
+
 // Create default game state template
-function createGameState(roomId, roomName, hostId) {
+function createGameState(roomId, roomName, hostId, votingRule = { type: 'majority' }, seed = randomSeed(), scenario = DEFAULT_SCENARIO) {
   return {
     roomId: roomId,
     roomName: roomName,
     hostId: hostId,
     gameId: Date.now(),
+    seed: seed, // drives the random shocks in the Phase 2 economic model
+    scenario: scenario, // Phase 2 starting conditions, model and scoring (scenarios/<name>.json)
     gameStarted: false,
     currentRound: 0,
     players: {},
     votes: {},
     readyPlayers: [],
     gamePhase: 'lobby',
+    votingRule: votingRule,
     scores: { USA: 0, UK: 0, USSR: 0, France: 0, China: 0, India: 0, Argentina: 0 },
     roundHistory: [],
+    roundResult: null, // result of the most recently closed round
+    deals: [], // bilateral deals proposed during negotiation
+    messages: {}, // channel -> chat messages ('public' or 'private:<country>|<country>')
     militaryDeployments: militaryDeploymentsData,
-    phase2: {
-      active: false,
-      currentYear: 1946,
-      yearlyData: {},
-      achievements: {}
-    },
+    phase2: createPhase2State(),
     maxPlayers: 7,
     createdAt: Date.now()
   };
 }
 
 // Load/save state functions
+// Users and each room are written separately: handlers mark what changed and
+// the write happens once activity in that room settles down
+const SAVE_DELAY = 2000;
+const dirtyRooms = new Set();
+const roomSaveTimers = {};
+let usersDirty = false;
+let usersSaveTimer = null;
+
 function loadState() {
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = fs.readFileSync(STATE_FILE, 'utf8');
-      const loadedState = JSON.parse(data);
-      
-      globalState = {
-        users: loadedState.users || {},
-        rooms: loadedState.rooms || {},
-        roomList: loadedState.roomList || []
-      };
-      
-      console.log('✅ Multi-room state loaded from file');
-      console.log(`   - Users: ${Object.keys(globalState.users).length}`);
-      console.log(`   - Rooms: ${Object.keys(globalState.rooms).length}`);
-    } else {
-      console.log('📝 No saved state found, using defaults');
-    }
+    globalState = {
+      users: storage.loadUsers(),
+      rooms: storage.loadActiveRooms(),
+      roomList: []
+    };
+    updateRoomList();
+    
+    console.log(`✅ Multi-room state loaded (${storage.name})`);
+    console.log(`   - Users: ${Object.keys(globalState.users).length}`);
+    console.log(`   - Active rooms: ${Object.keys(globalState.rooms).length}`);
+    console.log(`   - Archived rooms: ${storage.listArchivedRooms().length}`);
   } catch (err) {
     console.error('❌ Error loading state:', err);
     console.log('⚠️  Using default state');
   }
 }
 
+// Mark a room as changed; it is written once no change has happened for SAVE_DELAY
+function saveRoom(roomId) {
+  dirtyRooms.add(roomId);
+  clearTimeout(roomSaveTimers[roomId]);
+  roomSaveTimers[roomId] = setTimeout(() => flushRoom(roomId), SAVE_DELAY);
+}
+
+function flushRoom(roomId) {
+  clearTimeout(roomSaveTimers[roomId]);
+  delete roomSaveTimers[roomId];
+  if (!dirtyRooms.has(roomId)) return;
+  
+  const room = globalState.rooms[roomId];
+  dirtyRooms.delete(roomId);
+  if (!room) return;
+  
+  try {
+    storage.saveRoom(roomId, room);
+    console.log(`💾 Room ${roomId} saved`);
+  } catch (err) {
+    dirtyRooms.add(roomId);
+    console.error(`❌ Error saving room ${roomId}:`, err);
+  }
+}
+
+// Mark the user accounts as changed
+function saveUsers() {
+  usersDirty = true;
+  clearTimeout(usersSaveTimer);
+  usersSaveTimer = setTimeout(flushUsers, SAVE_DELAY);
+}
+
+function flushUsers() {
+  clearTimeout(usersSaveTimer);
+  usersSaveTimer = null;
+  if (!usersDirty) return;
+  
+  usersDirty = false;
+  try {
+    storage.saveUsers(globalState.users);
+    console.log('💾 Users saved');
+  } catch (err) {
+    usersDirty = true;
+    console.error('❌ Error saving users:', err);
+  }
+}
+
+// Write everything that is still pending
 function saveState() {
+  flushUsers();
+  Array.from(dirtyRooms).forEach(flushRoom);
+}
+
+// Remove a room from memory and from storage
+function removeRoom(roomId) {
+  delete globalState.rooms[roomId];
+  delete roomSync[roomId];
+  dirtyRooms.delete(roomId);
+  clearTimeout(roomSaveTimers[roomId]);
+  delete roomSaveTimers[roomId];
+  
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const backupFile = STATE_FILE.replace('.json', '-backup.json');
-      fs.copyFileSync(STATE_FILE, backupFile);
+    storage.deleteRoom(roomId);
+  } catch (err) {
+    console.error(`❌ Error deleting room ${roomId}:`, err);
+  }
+}
+
+// Move finished rooms that nobody is watching out of memory
+function archiveFinishedRooms() {
+  let archived = 0;
+  
+  Object.keys(globalState.rooms).forEach(roomId => {
+    const room = globalState.rooms[roomId];
+    const watchers = io.sockets.adapter.rooms.get(roomId);
+    if (room.gamePhase !== 'complete' || (watchers && watchers.size > 0)) return;
+    
+    try {
+      storage.saveRoom(roomId, room, { archived: true });
+      delete globalState.rooms[roomId];
+      delete roomSync[roomId];
+      dirtyRooms.delete(roomId);
+      clearTimeout(roomSaveTimers[roomId]);
+      delete roomSaveTimers[roomId];
+      archived++;
+      console.log(`📦 Room ${roomId} archived`);
+    } catch (err) {
+      console.error(`❌ Error archiving room ${roomId}:`, err);
     }
-    
-    fs.writeFileSync(STATE_FILE, JSON.stringify(globalState, null, 2));
-    console.log('💾 Multi-room state saved');
+  });
+  
+  if (archived > 0) broadcastRoomList();
+}
+
+// Bring an archived room back into memory when someone opens it
+function loadArchivedRoom(roomId) {
+  try {
+    const room = storage.loadRoom(roomId);
+    if (room) {
+      globalState.rooms[roomId] = room;
+      console.log(`📂 Room ${roomId} loaded from archive`);
+    }
+    return room;
   } catch (err) {
-    console.error('❌ Error saving state:', err);
+    console.error(`❌ Error loading room ${roomId}:`, err);
+    return null;
   }
 }
 
 // Load state on startup
 loadState();
+archiveFinishedRooms();
 
-// Auto-save every 2 minutes
+// Every 2 minutes: write anything pending and archive finished rooms
 setInterval(() => {
   saveState();
+  archiveFinishedRooms();
   console.log('🔄 Auto-save completed');
 }, 2 * 60 * 1000);
 
@@ -110,6 +324,7 @@ setInterval(() => {
 process.on('SIGINT', () => {
   console.log('\n⚠️  Server shutting down...');
   saveState();
+  storage.close();
   console.log('✅ Final save completed');
   process.exit(0);
 });
@@ -117,17 +332,56 @@ process.on('SIGINT', () => {
 process.on('SIGTERM', () => {
   console.log('\n⚠️  Server terminating...');
   saveState();
+  storage.close();
   console.log('✅ Final save completed');
   process.exit(0);
 });
 
-// Password functions
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+// Socket.IO room holding every socket logged in as a user
+function userChannelRoom(username) {
+  return `user:${username}`;
+}
+
+// Bind a logged-in user to this socket and issue a token for reconnects
+function startSession(socket, username, user) {
+  socket.data.session = { username: username, playerId: user.playerId, sessionVersion: user.sessionVersion || 0 };
+  socket.join(userChannelRoom(username));
+  return createSessionToken(username, user);
+}
+
+// Revoke all of a user's tokens and log out their open sockets
+function endSessions(username, message) {
+  revokeSessions(globalState.users[username]);
+  const socketIds = io.sockets.adapter.rooms.get(userChannelRoom(username)) || new Set();
+  [...socketIds].forEach(socketId => {
+    const userSocket = io.sockets.sockets.get(socketId);
+    userSocket.leave(userChannelRoom(username));
+    userSocket.data.session = null;
+    userSocket.emit('sessionInvalid', { message });
+  });
+}
+
+// Identity of the user authenticated on this socket; handlers never trust a client-sent playerId
+function getSession(socket) {
+  const session = socket.data.session;
+  const user = session ? globalState.users[session.username] : null;
+  
+  if (!isCurrentSession(session, user)) {
+    return { username: null, playerId: null, user: null };
+  }
+  
+  return { username: session.username, playerId: user.playerId, user: user };
+}
+
+function isSuperAdmin(user) {
+  return Boolean(user && user.role === 'superadmin');
 }
 
-function verifyPassword(password, hashedPassword) {
-  return hashPassword(password) === hashedPassword;
+// Superadmins manage every room; instructors manage the rooms they created
+function canManageRoom(user, room) {
+  if (!user || !room) return false;
+  if (user.role === 'superadmin') return true;
+  return user.role === 'instructor' && room.hostId === user.playerId;
 }
 
 // Helper to update room list
@@ -144,17 +398,161 @@ function updateRoomList() {
       maxPlayers: room.maxPlayers,
       status: room.gameStarted ? 'playing' : 'waiting',
       phase: room.gamePhase,
+      scenario: room.scenario || DEFAULT_SCENARIO,
       createdAt: room.createdAt
     };
   });
 }
 
-// Broadcast to specific room
+// Work out which view of a room a client gets: the room's facilitator,
+// one of the seated countries, or an observer
+function getRoomViewer(socket, room) {
+  const { playerId, user } = getSession(socket);
+  if (canManageRoom(user, room)) {
+    return { key: 'facilitator', facilitator: true, country: null };
+  }
+  
+  const player = room.players[playerId];
+  if (player) {
+    return { key: `country:${player.country}`, facilitator: false, country: player.country };
+  }
+  
+  return { key: 'observer', facilitator: false, country: null };
+}
+
+// Build the part of a room's state a viewer may see.
+// Hidden entries become `true` (loans keep only the country and year): everyone
+// can see that a country has voted, submitted policies, asked for a new par value
+// or borrowed, but not what it chose until the round or year resolves.
+function projectRoomState(room, viewer) {
+  // Chat is delivered per channel so private messages never reach other countries
+  const { messages, ...roomState } = room;
+  const state = JSON.parse(JSON.stringify(roomState));
+
+  // The Phase 2 panel shows each lever's allowed range from the scenario
+  if (state.phase2) state.phase2.policyLevers = getScenario(state.scenario).policyLevers;
+  if (viewer.facilitator) return state;
+  
+  // With the seed, players could work out the economic shocks in advance
+  if (state.gamePhase !== 'complete') delete state.seed;
+  
+  if (state.gamePhase === 'voting') {
+    Object.keys(state.votes).forEach(playerId => {
+      const player = state.players[playerId];
+      if (!player || player.country !== viewer.country) state.votes[playerId] = true;
+    });
+  }
+  
+  // Deals are private to the two countries involved
+  state.deals = (state.deals || []).filter(deal =>
+    deal.proposer === viewer.country || deal.recipient === viewer.country
+  );
+  
+  if (state.gamePhase === 'phase2') {
+    const year = state.phase2.currentYear;
+    const pending = state.phase2.policies[year] || {};
+    Object.keys(pending).forEach(country => {
+      if (country !== viewer.country) pending[country] = true;
+    });
+    
+    // New par values and loans for the year are as private as the policies
+    const parChanges = (state.phase2.parChanges || {})[year] || {};
+    Object.keys(parChanges).forEach(country => {
+      if (country !== viewer.country) parChanges[country] = true;
+    });
+    state.phase2.loans = (state.phase2.loans || []).map(loan =>
+      loan.year === year && loan.country !== viewer.country ? { country: loan.country, year: loan.year } : loan
+    );
+  }
+  
+  return state;
+}
+
+// Bring one view of a room up to date and return it with the changes since last time
+function updateRoomView(roomId, room, viewer) {
+  const views = roomSync[roomId] || (roomSync[roomId] = {});
+  const state = projectRoomState(room, viewer);
+  const view = views[viewer.key];
+  
+  // Versions start at the current time so a client from before a restart
+  // never mistakes the new versions for its own
+  if (!view) {
+    views[viewer.key] = { version: Date.now(), state: state };
+    return { view: views[viewer.key], ops: [] };
+  }
+  
+  const ops = JsonPatch.diff(view.state, state);
+  if (ops.length > 0) {
+    view.version++;
+    view.state = state;
+  }
+  
+  return { view, ops };
+}
+
+// Send every client in a room the changes to its view. Clients whose view
+// changed (e.g. they just took a seat) or who asked for it get a full snapshot.
 function broadcastToRoom(roomId) {
   const room = globalState.rooms[roomId];
-  if (!room) return;
+  const socketIds = io.sockets.adapter.rooms.get(roomId);
+  if (!room || !socketIds) return;
+  
+  const updates = {};
+  socketIds.forEach(socketId => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) return;
+    
+    const viewer = getRoomViewer(socket, room);
+    if (!updates[viewer.key]) {
+      updates[viewer.key] = updateRoomView(roomId, room, viewer);
+    }
+    const { view, ops } = updates[viewer.key];
+    
+    const roomViews = socket.data.roomViews || (socket.data.roomViews = {});
+    if (roomViews[roomId] !== viewer.key) {
+      roomViews[roomId] = viewer.key;
+      socket.emit('stateSnapshot', { roomId, version: view.version, state: view.state });
+    } else if (ops.length > 0) {
+      socket.emit('statePatch', { roomId, version: view.version, ops });
+    }
+  });
+}
+
+// Send the full room state to one client (it must already be in the room)
+function sendRoomSnapshot(socket, roomId) {
+  if (socket.data.roomViews) delete socket.data.roomViews[roomId];
+  broadcastToRoom(roomId);
+}
+
+// Socket.IO room for a country's private channels in a game room
+function countryChannelRoom(roomId, country) {
+  return `${roomId}:country:${country}`;
+}
+
+// Socket.IO room for facilitators, who can read every channel
+function facilitatorChannelRoom(roomId) {
+  return `${roomId}:facilitator`;
+}
+
+// Channel key for a private conversation between two countries
+function privateChannelKey(countryA, countryB) {
+  return `private:${[countryA, countryB].sort().join('|')}`;
+}
+
+// Channels a viewer may read: facilitators see everything. Long channels are
+// cut to their latest messages; the full transcript is in the debrief.
+function getVisibleMessages(room, country, isFacilitator) {
+  const messages = room.messages || {};
+  const visible = {};
+  
+  Object.keys(messages).forEach(channel => {
+    const members = channel.startsWith('private:') ? channel.slice('private:'.length).split('|') : null;
+    if (!members || isFacilitator || members.includes(country)) {
+      visible[channel] = messages[channel].slice(-MAX_MESSAGES_PER_CHANNEL);
+    }
+  });
   
-  io.to(roomId).emit('stateUpdate', room);
+  return visible;
 }
 
 // Broadcast room list to lobby
@@ -163,16 +561,36 @@ function broadcastRoomList() {
   io.emit('roomListUpdate', globalState.roomList);
 }
 
+// Authenticate reconnecting sockets from the session token sent in the handshake
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (token) {
+    const session = verifySessionToken(token);
+    if (session && isCurrentSession(session, globalState.users[session.username])) {
+      socket.data.session = session;
+    } else {
+      socket.data.sessionRejected = true;
+    }
+  }
+  next();
+});
+
 // Socket connection
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
   
+  if (socket.data.sessionRejected) {
+    socket.emit('sessionInvalid', { message: 'Your session has expired. Please log in again.' });
+  } else if (socket.data.session) {
+    socket.join(userChannelRoom(socket.data.session.username));
+  }
+  
   // Send current room list
   socket.emit('roomListUpdate', globalState.roomList);
   
   // Register new user
-  socket.on('register', ({ username, password }) => {
-    if (!username || !password) {
+  socket.on('register', async ({ username, password }) => {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       socket.emit('registerResult', { success: false, message: 'Username and password required' });
       return;
     }
@@ -182,35 +600,43 @@ io.on('connection', (socket) => {
       return;
     }
     
+    const hashedPassword = await hashPassword(password);
+    // Someone else may have taken the name while the password was hashing
+    if (globalState.users[username]) {
+      socket.emit('registerResult', { success: false, message: 'Username already exists' });
+      return;
+    }
+    
     const playerId = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    // Only jjucovy@gmail.com is the super admin
-    const isSuperAdmin = username.toLowerCase() === 'jjucovy@gmail.com' || username.toLowerCase() === 'jjucovy';
+    // Bootstrap superadmins come from SUPERADMIN_USERNAMES; everyone else starts as a player
+    const role = SUPERADMIN_USERNAMES.includes(username.toLowerCase()) ? 'superadmin' : 'player';
     
     globalState.users[username] = {
-      password: hashPassword(password),
+      password: hashedPassword,
       playerId: playerId,
       createdAt: Date.now(),
-      role: isSuperAdmin ? 'superadmin' : 'player'
+      role: role
     };
     
     socket.emit('registerResult', { 
       success: true, 
       playerId: playerId,
       username: username,
-      role: isSuperAdmin ? 'superadmin' : 'player'
+      role: role,
+      token: startSession(socket, username, globalState.users[username])
     });
     
-    saveState();
-    console.log(`User registered: ${username} (${isSuperAdmin ? 'SUPER ADMIN' : 'player'})`);
+    saveUsers();
+    console.log(`User registered: ${username} (${role})`);
   });
   
   // Login existing user
-  socket.on('login', ({ username, password }) => {
+  socket.on('login', async ({ username, password }) => {
     console.log('=== LOGIN REQUEST ===');
     console.log('Username:', username);
     
-    if (!username || !password) {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       socket.emit('loginResult', { success: false, message: 'Username and password required' });
       return;
     }
@@ -224,12 +650,18 @@ io.on('connection', (socket) => {
     
     console.log('User found, role:', user.role || 'undefined');
     
-    if (!verifyPassword(password, user.password)) {
+    if (!(await verifyPassword(password, user.password))) {
       console.log('ERROR: Password incorrect');
       socket.emit('loginResult', { success: false, message: 'Invalid username or password' });
       return;
     }
     
+    if (needsRehash(user.password)) {
+      user.password = await hashPassword(password);
+      saveUsers();
+      console.log(`Upgraded password hash for ${username}`);
+    }
+    
     const role = user.role || 'player';
     console.log('Login successful, sending role:', role);
     
@@ -237,18 +669,65 @@ io.on('connection', (socket) => {
       success: true, 
       playerId: user.playerId, 
       username: username,
-      role: role
+      role: role,
+      token: startSession(socket, username, user)
     });
     
     console.log(`User logged in: ${username} (${role})`);
     console.log('====================');
   });
   
+  // Log out: forget the identity bound to this socket and revoke the user's tokens,
+  // which also logs out their other tabs
+  socket.on('logout', () => {
+    const { username, user } = getSession(socket);
+    if (socket.data.session) {
+      socket.leave(userChannelRoom(socket.data.session.username));
+    }
+    socket.data.session = null;
+    
+    if (user) {
+      endSessions(username, 'You have been logged out. Please log in again.');
+      saveUsers();
+    }
+    socket.emit('logoutResult', { success: true });
+  });
+  
   // Create new room
-  socket.on('createRoom', ({ playerId, roomName }) => {
+  socket.on('createRoom', ({ roomName, votingRule, seed, scenario }) => {
+    const { playerId, user } = getSession(socket);
+    if (!user) {
+      socket.emit('roomCreated', { success: false, message: 'Please log in to create a room' });
+      return;
+    }
+    
+    if (user.role !== 'superadmin' && user.role !== 'instructor') {
+      socket.emit('roomCreated', { success: false, message: 'Only instructors can create rooms' });
+      return;
+    }
+    
+    const rule = normalizeVotingRule(votingRule);
+    if (!rule) {
+      socket.emit('roomCreated', { success: false, message: `Voting rule must be one of: ${VOTING_RULES.join(', ')}` });
+      return;
+    }
+    
+    const scenarioName = scenario || DEFAULT_SCENARIO;
+    if (!Object.keys(SCENARIOS).includes(scenarioName)) {
+      socket.emit('roomCreated', { success: false, message: `Scenario must be one of: ${Object.keys(SCENARIOS).join(', ')}` });
+      return;
+    }
+    
+    // Rooms given the same seed get the same economic shocks
+    const roomSeed = seed === undefined || seed === null ? randomSeed() : seed;
+    if (!isValidSeed(roomSeed)) {
+      socket.emit('roomCreated', { success: false, message: `Seed must be a whole number from 0 to ${MAX_SEED}` });
+      return;
+    }
+    
     const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
     
-    globalState.rooms[roomId] = createGameState(roomId, roomName, playerId);
+    globalState.rooms[roomId] = createGameState(roomId, roomName, playerId, rule, roomSeed, scenarioName);
     
     socket.join(roomId);
     socket.emit('roomCreated', { 
@@ -258,14 +737,14 @@ io.on('connection', (socket) => {
     });
     
     broadcastRoomList();
-    saveState();
+    saveRoom(roomId);
     
     console.log(`Room created: ${roomName} (${roomId}) by ${playerId}`);
   });
   
   // Join existing room
   socket.on('joinRoom', ({ roomId }) => {
-    if (!globalState.rooms[roomId]) {
+    if (!globalState.rooms[roomId] && !loadArchivedRoom(roomId)) {
       socket.emit('joinRoomResult', { success: false, message: 'Room not found' });
       return;
     }
@@ -276,10 +755,41 @@ io.on('connection', (socket) => {
       roomId: roomId 
     });
     
-    broadcastToRoom(roomId);
+    sendRoomSnapshot(socket, roomId);
     console.log(`Player joined room: ${roomId}`);
   });
   
+  // Client missed a patch: resend the whole room state
+  socket.on('requestState', ({ roomId }) => {
+    if (!socket.rooms.has(roomId)) return;
+    sendRoomSnapshot(socket, roomId);
+  });
+  
+  // Debrief report: room members once the game is complete, facilitators at any time
+  socket.on('requestDebrief', ({ roomId }) => {
+    const room = globalState.rooms[roomId] || loadArchivedRoom(roomId);
+    if (!room) {
+      socket.emit('debriefResult', { success: false, message: 'Room not found' });
+      return;
+    }
+    
+    const { user } = getSession(socket);
+    if (!canManageRoom(user, room)) {
+      if (!socket.rooms.has(roomId)) {
+        socket.emit('debriefResult', { success: false, message: 'Join the room to see its debrief' });
+        return;
+      }
+      if (room.gamePhase !== 'complete') {
+        socket.emit('debriefResult', { success: false, message: 'The debrief is available when the game is complete' });
+        return;
+      }
+    }
+    
+    // Only facilitators get the chat transcript, which has every private channel
+    const html = renderDebrief(room, gameData, { includeChat: canManageRoom(user, room) });
+    socket.emit('debriefResult', { success: true, roomName: room.roomName, html });
+  });
+  
   // Leave room
   socket.on('leaveRoom', ({ roomId }) => {
     socket.leave(roomId);
@@ -287,8 +797,9 @@ io.on('connection', (socket) => {
     console.log(`Player left room: ${roomId}`);
   });
   
-  // Delete room (host only)
-  socket.on('deleteRoom', ({ roomId, playerId }) => {
+  // Delete room (owner or superadmin)
+  socket.on('deleteRoom', ({ roomId }) => {
+    const { user } = getSession(socket);
     const room = globalState.rooms[roomId];
     
     if (!room) {
@@ -296,8 +807,8 @@ io.on('connection', (socket) => {
       return;
     }
     
-    if (room.hostId !== playerId) {
-      socket.emit('deleteRoomResult', { success: false, message: 'Only host can delete room' });
+    if (!canManageRoom(user, room)) {
+      socket.emit('deleteRoomResult', { success: false, message: 'Only the room owner can delete this room' });
       return;
     }
     
@@ -305,17 +816,17 @@ io.on('connection', (socket) => {
     io.to(roomId).emit('roomDeleted', { roomId });
     
     // Delete room
-    delete globalState.rooms[roomId];
+    removeRoom(roomId);
     
     socket.emit('deleteRoomResult', { success: true });
     broadcastRoomList();
-    saveState();
     
     console.log(`Room deleted: ${roomId}`);
   });
   
   // Join game in room
-  socket.on('joinGame', ({ roomId, playerId, country }) => {
+  socket.on('joinGame', ({ roomId, country }) => {
+    const { playerId, user } = getSession(socket);
     const room = globalState.rooms[roomId];
     
     if (!room) {
@@ -323,10 +834,25 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Prevent superadmin from joining as player
-    const user = Object.values(globalState.users).find(u => u.playerId === playerId);
-    if (user && user.role === 'superadmin') {
-      socket.emit('joinResult', { success: false, message: 'Administrator cannot join as a player. You are an observer.' });
+    if (!user) {
+      socket.emit('joinResult', { success: false, message: 'Please log in to join a game' });
+      return;
+    }
+    
+    // Only player accounts take a seat; staff and observers watch
+    if ((user.role || 'player') !== 'player') {
+      socket.emit('joinResult', { success: false, message: `Your role (${user.role}) cannot join as a player. You are an observer.` });
+      return;
+    }
+    
+    if (!Object.keys(gameData.countries).includes(country)) {
+      socket.emit('joinResult', { success: false, message: `Unknown country: ${country}` });
+      return;
+    }
+    
+    // Phase 2 economies are set up for the countries seated when it starts
+    if (room.gamePhase === 'phase2' || room.gamePhase === 'complete') {
+      socket.emit('joinResult', { success: false, message: 'Countries can only be chosen before Phase 2 starts' });
       return;
     }
     
@@ -342,34 +868,38 @@ io.on('connection', (socket) => {
         joinedAt: Date.now()
       };
       
+      socket.join(countryChannelRoom(roomId, country));
       socket.emit('joinResult', { success: true });
       broadcastToRoom(roomId);
       broadcastRoomList();
-      saveState();
+      saveRoom(roomId);
       
       console.log(`Player ${playerId} joined as ${country} in room ${roomId}`);
     }
   });
   
   // Leave game in room
-  socket.on('leaveGame', ({ roomId, playerId }) => {
+  socket.on('leaveGame', ({ roomId }) => {
+    const { playerId } = getSession(socket);
     const room = globalState.rooms[roomId];
-    if (!room) return;
+    if (!room || !room.players[playerId]) return;
     
+    socket.leave(countryChannelRoom(roomId, room.players[playerId].country));
     delete room.players[playerId];
     room.readyPlayers = room.readyPlayers.filter(id => id !== playerId);
     
     broadcastToRoom(roomId);
     broadcastRoomList();
-    saveState();
+    saveRoom(roomId);
     
     console.log(`Player ${playerId} left game in room ${roomId}`);
   });
   
   // Set ready status
-  socket.on('setReady', ({ roomId, playerId, ready }) => {
+  socket.on('setReady', ({ roomId, ready }) => {
+    const { playerId } = getSession(socket);
     const room = globalState.rooms[roomId];
-    if (!room) return;
+    if (!room || !room.players[playerId]) return;
     
     if (ready) {
       if (!room.readyPlayers.includes(playerId)) {
@@ -380,11 +910,12 @@ io.on('connection', (socket) => {
     }
     
     broadcastToRoom(roomId);
-    saveState();
+    saveRoom(roomId);
   });
   
-  // SUPERADMIN ONLY: Start game in room
-  socket.on('startGame', ({ roomId, playerId }) => {
+  // ROOM OWNER OR SUPERADMIN: Start game in room
+  socket.on('startGame', ({ roomId }) => {
+    const { playerId, user } = getSession(socket);
     console.log('=== START GAME REQUEST ===');
     console.log('Room ID:', roomId);
     console.log('Player ID:', playerId);
@@ -396,217 +927,544 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Check if user is superadmin
-    const user = Object.values(globalState.users).find(u => u.playerId === playerId);
+    // Check if user manages this room
     console.log('User found:', user ? 'YES' : 'NO');
     if (user) {
       console.log('User role:', user.role);
     }
     
-    const isSuperAdmin = user && user.role === 'superadmin';
-    console.log('Is superadmin:', isSuperAdmin);
+    const canManage = canManageRoom(user, room);
+    console.log('Can manage room:', canManage);
     
-    if (!isSuperAdmin) {
-      console.log('ERROR: Not superadmin');
+    if (!canManage) {
+      console.log('ERROR: Not room owner or superadmin');
       socket.emit('startGameResult', { 
         success: false, 
-        message: `Only the administrator can start games. Your role: ${user ? user.role : 'not found'}` 
+        message: `Only the room's instructor or an administrator can start games. Your role: ${user ? user.role : 'not found'}` 
       });
       return;
     }
     
-    // Check if enough players
-    const playerCount = Object.keys(room.players).length;
-    console.log('Player count:', playerCount);
-    
-    if (playerCount < 2) {
-      console.log('ERROR: Not enough players');
-      socket.emit('startGameResult', { success: false, message: 'Need at least 2 players to start' });
+    const result = startRoomGame(roomId);
+    socket.emit('startGameResult', result);
+    if (!result.success) {
+      console.log('ERROR:', result.message);
       return;
     }
     
-    room.gameStarted = true;
-    room.gamePhase = 'voting';
-    room.currentRound = 1;
-    
-    console.log('SUCCESS: Game started!');
-    socket.emit('startGameResult', { success: true });
-    broadcastToRoom(roomId);
-    broadcastRoomList();
-    saveState();
-    
-    console.log(`Game started in room ${roomId} by superadmin`);
+    console.log(`Game started in room ${roomId} by ${user.role} ${playerId}`);
     console.log('=========================');
   });
   
-  // Vote on current issue
-  socket.on('vote', ({ roomId, playerId, choice }) => {
+  // ROOM OWNER OR SUPERADMIN: Seat a bot for an unclaimed country
+  socket.on('addBot', ({ roomId, country, strategy }) => {
+    const { user } = getSession(socket);
     const room = globalState.rooms[roomId];
-    if (!room || !room.gameStarted) {
-      console.log('Vote rejected: room not found or game not started');
+    if (!room) {
+      socket.emit('addBotResult', { success: false, message: 'Room not found' });
       return;
     }
     
-    // Check player is in game
-    if (!room.players[playerId]) {
-      console.log('Vote rejected: player not in game');
+    if (!canManageRoom(user, room)) {
+      socket.emit('addBotResult', { success: false, message: "Only the room's instructor or an administrator can add bots" });
       return;
     }
     
-    // Store vote
-    room.votes[playerId] = choice;
-    console.log(`Vote received: ${playerId} voted ${choice} in room ${roomId}`);
-    
-    // Check if all players have voted
-    const playerIds = Object.keys(room.players);
-    const allVoted = playerIds.every(id => room.votes[id]);
-    
-    if (allVoted) {
-      console.log('All players voted, calculating results...');
-      
-      // Tally votes
-      const voteTally = { for: 0, against: 0, abstain: 0 };
-      Object.values(room.votes).forEach(vote => {
-        voteTally[vote] = (voteTally[vote] || 0) + 1;
-      });
-      
-      // Determine outcome (simple majority)
-      const outcome = voteTally['for'] > voteTally.against ? 'passed' : 'failed';
-      
-      // Calculate scores for this round
-      const roundScores = {};
-      Object.entries(room.players).forEach(([id, player]) => {
-        const country = player.country;
-        const vote = room.votes[id];
-        
-        // Simple scoring logic
-        let points = 0;
-        
-        // Base points for participation
-        points += 10;
-        
-        // Bonus points based on vote alignment with outcome
-        if ((vote === 'for' && outcome === 'passed') || (vote === 'against' && outcome === 'failed')) {
-          points += 30; // Voted with winning side
-        }
-        
-        // Abstain penalty
-        if (vote === 'abstain') {
-          points += 5; // Small points for abstaining
-        }
-        
-        roundScores[country] = points;
-        room.scores[country] = (room.scores[country] || 0) + points;
-      });
-      
-      // Store results
-      room.voteTally = voteTally;
-      room.roundOutcome = outcome;
-      room.roundScores = roundScores;
-      room.gamePhase = 'results';
-      
-      console.log(`Round ${room.currentRound} results:`, { voteTally, outcome });
-    }
-    
-    broadcastToRoom(roomId);
-    saveState();
+    socket.emit('addBotResult', addBot(roomId, country, strategy));
   });
   
-  // Advance to next round (admin only)
-  socket.on('advanceRound', ({ roomId, playerId }) => {
+  // Negotiation: propose a deal to another country
+  socket.on('proposeDeal', ({ roomId, toCountry, offer, request }) => {
+    const { playerId } = getSession(socket);
     const room = globalState.rooms[roomId];
-    if (!room) return;
-    
-    const user = Object.values(globalState.users).find(u => u.playerId === playerId);
-    const isSuperAdmin = user && user.role === 'superadmin';
-    
-    if (!isSuperAdmin) {
-      console.log('Advance round rejected: not superadmin');
+    if (!room || room.gamePhase !== 'negotiation') {
+      socket.emit('proposeDealResult', { success: false, message: 'Deals can only be proposed during negotiation' });
       return;
     }
     
-    // Advance round
-    room.currentRound++;
-    console.log(`Advancing to round ${room.currentRound}`);
-    
-    // Check if game is complete
-    if (room.currentRound > 10) {
-      room.gamePhase = 'complete';
-      console.log('Game complete!');
-    } else {
-      room.gamePhase = 'voting';
-      room.votes = {}; // Clear votes for new round
+    const player = room.players[playerId];
+    if (!player) {
+      socket.emit('proposeDealResult', { success: false, message: 'You are not playing in this room' });
+      return;
     }
     
-    broadcastToRoom(roomId);
-    saveState();
-  });
-  
-  // SUPERADMIN ONLY: Reset room
-  socket.on('resetRoom', ({ roomId, playerId }) => {
-    const room = globalState.rooms[roomId];
-    if (!room) return;
+    if (toCountry === player.country || !findPlayerIdByCountry(room, toCountry)) {
+      socket.emit('proposeDealResult', { success: false, message: 'Deals must be proposed to another country in this room' });
+      return;
+    }
     
-    const user = Object.values(globalState.users).find(u => u.playerId === playerId);
-    const isSuperAdmin = user && user.role === 'superadmin';
+    if (room.players[findPlayerIdByCountry(room, toCountry)].bot) {
+      socket.emit('proposeDealResult', { success: false, message: `${toCountry} is played by a bot, which does not make deals` });
+      return;
+    }
     
-    if (!isSuperAdmin) {
-      socket.emit('resetRoomResult', { success: false, message: 'Only the administrator can reset games' });
+    const offerTerms = normalizeDealTerms(room, offer);
+    const requestTerms = normalizeDealTerms(room, request);
+    if (!offerTerms || !requestTerms) {
+      socket.emit('proposeDealResult', { success: false, message: `Each side of a deal must be a vote on a current or upcoming issue, or a transfer of 1-${MAX_DEAL_POINTS} points` });
       return;
     }
     
-    // Reset game state but keep players
-    room.gameStarted = false;
-    room.currentRound = 0;
-    room.gamePhase = 'lobby';
-    room.votes = {};
-    room.scores = { USA: 0, UK: 0, USSR: 0, France: 0, China: 0, India: 0, Argentina: 0 };
-    room.roundHistory = [];
-    room.readyPlayers = [];
-    room.phase2 = {
-      active: false,
-      currentYear: 1946,
-      yearlyData: {},
-      achievements: {}
+    const deal = {
+      id: `deal_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      round: room.currentRound,
+      proposer: player.country,
+      recipient: toCountry,
+      offer: offerTerms, // what the proposer promises
+      request: requestTerms, // what the recipient promises in return
+      status: 'proposed',
+      proposedAt: Date.now()
     };
+    room.deals.push(deal);
     
-    socket.emit('resetRoomResult', { success: true });
+    socket.emit('proposeDealResult', { success: true, deal });
     broadcastToRoom(roomId);
-    broadcastRoomList();
-    saveState();
+    saveRoom(roomId);
     
-    console.log(`Room ${roomId} reset by superadmin`);
+    console.log(`Deal ${deal.id} proposed by ${deal.proposer} to ${deal.recipient} in room ${roomId}`);
   });
   
-  // SUPERADMIN ONLY: Clear all data
-  socket.on('clearAllData', ({ playerId, confirmCode }) => {
-    console.log('clearAllData called:', { playerId, confirmCode });
-    
-    const user = Object.values(globalState.users).find(u => u.playerId === playerId);
-    console.log('User found:', user ? `${user.role}` : 'not found');
-    console.log('All users:', Object.keys(globalState.users));
-    
-    if (!user) {
-      socket.emit('clearDataResult', { success: false, message: 'User not found. Please try logging out and back in.' });
+  // Negotiation: accept or reject a deal proposed to your country
+  socket.on('respondToDeal', ({ roomId, dealId, accept }) => {
+    const { playerId } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || room.gamePhase !== 'negotiation') {
+      socket.emit('respondToDealResult', { success: false, message: 'Deals can only be answered during negotiation' });
       return;
     }
     
-    if (user.role !== 'superadmin') {
-      socket.emit('clearDataResult', { success: false, message: `Access denied. Your role is: ${user.role}. Only superadmin can clear data.` });
+    const player = room.players[playerId];
+    const deal = room.deals.find(d => d.id === dealId);
+    if (!player || !deal || deal.recipient !== player.country) {
+      socket.emit('respondToDealResult', { success: false, message: 'Deal not found' });
       return;
     }
     
-    if (confirmCode !== 'CLEAR_ALL_DATA') {
-      socket.emit('clearDataResult', { success: false, message: 'Invalid confirmation code. Type exactly: CLEAR_ALL_DATA' });
+    if (deal.status !== 'proposed') {
+      socket.emit('respondToDealResult', { success: false, message: `Deal has already been ${deal.status}` });
       return;
     }
     
-    // Clear all rooms but keep superadmin user
-    globalState.rooms = {};
-    globalState.roomList = [];
+    deal.status = accept ? 'accepted' : 'rejected';
+    deal.respondedAt = Date.now();
     
-    // Keep only superadmin user
-    const superAdminUser = {};
+    // Score transfers are binding and settle as soon as the deal is struck
+    if (accept) {
+      settleDealTransfer(room, deal.offer, deal.proposer, deal.recipient);
+      settleDealTransfer(room, deal.request, deal.recipient, deal.proposer);
+    }
+    
+    socket.emit('respondToDealResult', { success: true, deal });
+    broadcastToRoom(roomId);
+    saveRoom(roomId);
+    
+    console.log(`Deal ${deal.id} ${deal.status} by ${deal.recipient} in room ${roomId}`);
+  });
+  
+  // Chat: fetch the channels this user may read and subscribe to new messages
+  socket.on('getMessages', ({ roomId }) => {
+    const { playerId, user } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room) {
+      socket.emit('messagesResult', { success: false, message: 'Room not found' });
+      return;
+    }
+    
+    const isFacilitator = canManageRoom(user, room);
+    const player = room.players[playerId];
+    
+    if (isFacilitator) {
+      socket.join(facilitatorChannelRoom(roomId));
+    } else if (player) {
+      socket.join(countryChannelRoom(roomId, player.country));
+    }
+    
+    socket.emit('messagesResult', {
+      success: true,
+      roomId: roomId,
+      messages: getVisibleMessages(room, player ? player.country : null, isFacilitator)
+    });
+  });
+  
+  // Chat: post to the room-wide channel or privately to another country
+  socket.on('sendMessage', ({ roomId, toCountry, text }) => {
+    const { playerId, user } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room) {
+      socket.emit('sendMessageResult', { success: false, message: 'Room not found' });
+      return;
+    }
+    
+    const isFacilitator = canManageRoom(user, room);
+    const player = room.players[playerId];
+    if (!player && !isFacilitator) {
+      socket.emit('sendMessageResult', { success: false, message: 'Only players and the facilitator can chat in this room' });
+      return;
+    }
+    
+    const body = typeof text === 'string' ? text.trim() : '';
+    if (!body || body.length > MAX_MESSAGE_LENGTH) {
+      socket.emit('sendMessageResult', { success: false, message: `Messages must be 1-${MAX_MESSAGE_LENGTH} characters` });
+      return;
+    }
+    
+    let channel = 'public';
+    if (toCountry) {
+      if (!player || toCountry === player.country || !findPlayerIdByCountry(room, toCountry)) {
+        socket.emit('sendMessageResult', { success: false, message: 'Private messages must go to another country in this room' });
+        return;
+      }
+      channel = privateChannelKey(player.country, toCountry);
+    }
+    
+    const chatMessage = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      channel: channel,
+      from: player ? player.country : 'Facilitator',
+      fromPlayerId: playerId,
+      text: body,
+      sentAt: Date.now()
+    };
+    
+    storeChatMessage(room, chatMessage);
+    
+    if (channel === 'public') {
+      io.to(roomId).emit('chatMessage', chatMessage);
+    } else {
+      io.to(countryChannelRoom(roomId, player.country))
+        .to(countryChannelRoom(roomId, toCountry))
+        .to(facilitatorChannelRoom(roomId))
+        .emit('chatMessage', chatMessage);
+    }
+    
+    socket.emit('sendMessageResult', { success: true, chatMessage });
+    saveRoom(roomId);
+  });
+  
+  // ROOM OWNER OR SUPERADMIN: Close negotiation and open voting on the current issue
+  socket.on('openVoting', ({ roomId }) => {
+    const { playerId, user } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || room.gamePhase !== 'negotiation') return;
+    
+    if (!canManageRoom(user, room)) {
+      console.log('Open voting rejected: not room owner or superadmin');
+      return;
+    }
+    
+    openRoomVoting(roomId);
+  });
+  
+  // ROOM OWNER OR SUPERADMIN: Change the voting rule before the game starts
+  socket.on('setVotingRule', ({ roomId, votingRule }) => {
+    const { playerId, user } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room) {
+      socket.emit('setVotingRuleResult', { success: false, message: 'Room not found' });
+      return;
+    }
+    
+    if (!canManageRoom(user, room)) {
+      socket.emit('setVotingRuleResult', { success: false, message: "Only the room's instructor can change the voting rule" });
+      return;
+    }
+    
+    if (room.gameStarted) {
+      socket.emit('setVotingRuleResult', { success: false, message: 'Voting rule can only be changed before the game starts' });
+      return;
+    }
+    
+    const rule = normalizeVotingRule(votingRule);
+    if (!rule) {
+      socket.emit('setVotingRuleResult', { success: false, message: `Voting rule must be one of: ${VOTING_RULES.join(', ')}` });
+      return;
+    }
+    
+    room.votingRule = rule;
+    socket.emit('setVotingRuleResult', { success: true, votingRule: rule });
+    broadcastToRoom(roomId);
+    saveRoom(roomId);
+    
+    console.log(`Voting rule in room ${roomId} set to ${rule.type}`);
+  });
+  
+  // Vote for an option on the current issue
+  socket.on('vote', ({ roomId, optionId }) => {
+    const { playerId } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || !room.gameStarted || room.gamePhase !== 'voting') {
+      socket.emit('voteResult', { success: false, message: 'Voting is not open in this room' });
+      return;
+    }
+    
+    // Check player is in game
+    if (!room.players[playerId]) {
+      socket.emit('voteResult', { success: false, message: 'You are not playing in this room' });
+      return;
+    }
+    
+    const currentIssue = gameData.issues[room.currentRound - 1];
+    if (!currentIssue || !currentIssue.options.some(opt => opt.id === optionId)) {
+      socket.emit('voteResult', { success: false, message: 'Invalid option for this issue' });
+      return;
+    }
+    
+    // Store vote
+    room.votes[playerId] = optionId;
+    socket.emit('voteResult', { success: true, issueId: currentIssue.id, optionId });
+    console.log(`Player ${playerId} voted for option ${optionId} on issue ${currentIssue.id} in room ${roomId}`);
+    
+    // Close the round once every player has voted
+    const playerIds = Object.keys(room.players);
+    if (playerIds.every(id => room.votes[id])) {
+      console.log('All players voted, calculating results...');
+      calculateScoresForCurrentRound(room);
+    }
+    
+    broadcastToRoom(roomId);
+    saveRoom(roomId);
+  });
+  
+  // Advance to next round (admin only)
+  socket.on('advanceRound', ({ roomId }) => {
+    const { playerId, user } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || !room.gameStarted) return;
+    
+    if (!canManageRoom(user, room)) {
+      console.log('Advance round rejected: not room owner or superadmin');
+      return;
+    }
+    
+    const result = advanceRoomRound(roomId);
+    if (!result.success) {
+      console.log(`Advance round rejected: ${result.message}`);
+    }
+  });
+  
+  // Phase 2: Set economic policies for the current year
+  socket.on('setPhase2Policies', ({ roomId, ...submission }) => {
+    const { playerId } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || !room.phase2.active) {
+      console.log('Policies rejected: room not found or Phase 2 not active');
+      socket.emit('policiesResult', { success: false, message: 'Phase 2 is not active in this room', errors: [] });
+      return;
+    }
+    
+    const player = room.players[playerId];
+    if (!player) {
+      console.log('Policies rejected: player not in game');
+      socket.emit('policiesResult', { success: false, message: 'Only players can set policies', errors: [] });
+      return;
+    }
+    
+    // Ranges, steps and yearly change limits come from the scenario; pegs from Phase 1
+    const { policy, approvedPar, errors } = validatePolicy(room, player.country, submission);
+    if (errors.length > 0) {
+      console.log(`Policies rejected for ${player.country}: ${errors.map(error => error.code).join(', ')}`);
+      socket.emit('policiesResult', { success: false, message: errors.map(error => error.message).join('. '), errors });
+      return;
+    }
+    
+    const year = room.phase2.currentYear;
+    if (!room.phase2.policies[year]) {
+      room.phase2.policies[year] = {};
+    }
+    room.phase2.policies[year][player.country] = {
+      ...policy,
+      submittedAt: Date.now()
+    };
+    
+    // A new par value asked for with the policy takes effect with it
+    let message = `Policies set for ${year}`;
+    if (approvedPar !== null) {
+      if (!room.phase2.parChanges) room.phase2.parChanges = {};
+      if (!room.phase2.parChanges[year]) room.phase2.parChanges[year] = {};
+      room.phase2.parChanges[year][player.country] = approvedPar;
+      message += `. The IMF approved a par value of ${approvedPar}`;
+      console.log(`🏛️ IMF approved a par value of ${approvedPar} for ${player.country} in room ${roomId}`);
+    }
+    socket.emit('policiesResult', { success: true, message, year, policy });
+    
+    broadcastToRoom(roomId);
+    saveRoom(roomId);
+    
+    console.log(`Player ${playerId} (${player.country}) set policies for ${year} in room ${roomId}`);
+  });
+  
+  // Phase 2: Forecast a proposed policy before submitting it. Nothing is stored.
+  socket.on('forecastPolicies', ({ roomId, ...submission }) => {
+    const { playerId } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || !room.phase2.active) {
+      socket.emit('forecastResult', { success: false, message: 'Phase 2 is not active in this room', errors: [] });
+      return;
+    }
+    
+    const player = room.players[playerId];
+    if (!player) {
+      socket.emit('forecastResult', { success: false, message: 'Only players can forecast policies', errors: [] });
+      return;
+    }
+    
+    // The forecast starts from the country's figures for the current year
+    const year = room.phase2.currentYear;
+    if (!(room.phase2.yearlyData[year] || {})[player.country]) {
+      socket.emit('forecastResult', { success: false, message: `There are no ${year} figures for ${player.country} to forecast from`, errors: [] });
+      return;
+    }
+    
+    // Forecasts take the same checks as real submissions
+    const { policy, errors } = validatePolicy(room, player.country, submission);
+    if (errors.length > 0) {
+      socket.emit('forecastResult', { success: false, message: errors.map(error => error.message).join('. '), errors });
+      return;
+    }
+    
+    const forecast = forecastYear(room, player.country, policy);
+    if (!forecast) {
+      socket.emit('forecastResult', { success: false, message: `No forecast could be made for ${player.country}`, errors: [] });
+      return;
+    }
+    socket.emit('forecastResult', { success: true, message: `Forecast for ${year}`, year, policy, forecast });
+  });
+  
+  // Phase 2: Ask the IMF to approve a new par value for a pegged exchange rate
+  socket.on('requestParChange', ({ roomId, exchangeRate }) => {
+    const { playerId } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || !room.phase2.active) {
+      socket.emit('parChangeResult', { success: false, message: 'Phase 2 is not active in this room' });
+      return;
+    }
+    
+    const player = room.players[playerId];
+    if (!player) {
+      socket.emit('parChangeResult', { success: false, message: 'Only players can request a new par value' });
+      return;
+    }
+    
+    const newRate = parseFloat(exchangeRate);
+    const error = checkParChange(room, player.country, newRate);
+    if (error) {
+      socket.emit('parChangeResult', { success: false, message: error });
+      return;
+    }
+    
+    const year = room.phase2.currentYear;
+    if (!room.phase2.parChanges) room.phase2.parChanges = {};
+    if (!room.phase2.parChanges[year]) room.phase2.parChanges[year] = {};
+    room.phase2.parChanges[year][player.country] = newRate;
+    
+    socket.emit('parChangeResult', { success: true, message: `The IMF approved a par value of ${newRate} for ${year}` });
+    
+    broadcastToRoom(roomId);
+    saveRoom(roomId);
+    
+    console.log(`🏛️ IMF approved a par value of ${newRate} for ${player.country} in room ${roomId}`);
+  });
+  
+  // Phase 2: Borrow from the IMF or World Bank for the current year
+  socket.on('requestLoan', ({ roomId, institution, amount }) => {
+    const { playerId } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || !room.phase2.active) {
+      socket.emit('loanResult', { success: false, message: 'Phase 2 is not active in this room' });
+      return;
+    }
+    
+    const player = room.players[playerId];
+    if (!player) {
+      socket.emit('loanResult', { success: false, message: 'Only players can borrow' });
+      return;
+    }
+    
+    const loanAmount = parseFloat(amount);
+    const error = checkLoanRequest(room, player.country, institution, loanAmount);
+    if (error) {
+      socket.emit('loanResult', { success: false, message: error });
+      return;
+    }
+    
+    const loan = createLoan(room, player.country, institution, loanAmount);
+    if (!room.phase2.loans) room.phase2.loans = [];
+    room.phase2.loans.push(loan);
+    
+    const { name } = room.phase2.institutions[institution];
+    const repayment = loan.termYears > 0
+      ? `${loan.interestRate}% interest, repaid over ${loan.termYears} years`
+      : 'a grant, never repaid';
+    socket.emit('loanResult', {
+      success: true,
+      message: `${name} approved $${loanAmount}M for ${loan.year}: ${repayment}. Conditions: ${describeConditions(loan.conditions)}.`,
+      loan: loan
+    });
+    
+    broadcastToRoom(roomId);
+    saveRoom(roomId);
+    
+    console.log(`🏛️ ${player.country} borrowed $${loanAmount}M from the ${name} in room ${roomId}`);
+  });
+  
+  // Phase 2: Advance to next year (admin only)
+  socket.on('advanceYear', ({ roomId }) => {
+    const { playerId, user } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room || !room.phase2.active) return;
+    
+    if (!canManageRoom(user, room)) {
+      console.log('Advance year rejected: not room owner or superadmin');
+      return;
+    }
+    
+    advanceRoomYear(roomId);
+  });
+  
+  // ROOM OWNER OR SUPERADMIN: Reset room
+  socket.on('resetRoom', ({ roomId }) => {
+    const { playerId, user } = getSession(socket);
+    const room = globalState.rooms[roomId];
+    if (!room) return;
+    
+    if (!canManageRoom(user, room)) {
+      socket.emit('resetRoomResult', { success: false, message: "Only the room's instructor or an administrator can reset games" });
+      return;
+    }
+    
+    socket.emit('resetRoomResult', resetRoomGame(roomId));
+    console.log(`Room ${roomId} reset by ${user.role} ${playerId}`);
+  });
+  
+  // SUPERADMIN ONLY: Clear all data
+  socket.on('clearAllData', ({ confirmCode }) => {
+    const { playerId, user } = getSession(socket);
+    console.log('clearAllData called:', { playerId, confirmCode });
+    
+    console.log('User found:', user ? `${user.role}` : 'not found');
+    console.log('All users:', Object.keys(globalState.users));
+    
+    if (!user) {
+      socket.emit('clearDataResult', { success: false, message: 'User not found. Please try logging out and back in.' });
+      return;
+    }
+    
+    if (user.role !== 'superadmin') {
+      socket.emit('clearDataResult', { success: false, message: `Access denied. Your role is: ${user.role}. Only superadmin can clear data.` });
+      return;
+    }
+    
+    if (confirmCode !== 'CLEAR_ALL_DATA') {
+      socket.emit('clearDataResult', { success: false, message: 'Invalid confirmation code. Type exactly: CLEAR_ALL_DATA' });
+      return;
+    }
+    
+    // Clear all rooms, archived ones included, but keep superadmin user
+    Object.keys(globalState.rooms).concat(storage.listArchivedRooms()).forEach(removeRoom);
+    globalState.roomList = [];
+    
+    // Keep only superadmin user
+    const superAdminUser = {};
     Object.entries(globalState.users).forEach(([username, userData]) => {
       if (userData.role === 'superadmin') {
         superAdminUser[username] = userData;
@@ -615,17 +1473,17 @@ io.on('connection', (socket) => {
     globalState.users = superAdminUser;
     
     broadcastRoomList();
-    saveState();
+    saveUsers();
     
     socket.emit('clearDataResult', { success: true, message: 'All data cleared except administrator account' });
     console.log(`All data cleared by superadmin: ${user.playerId}`);
   });
   
   // SUPERADMIN ONLY: Delete any room
-  socket.on('adminDeleteRoom', ({ roomId, playerId }) => {
-    const user = Object.values(globalState.users).find(u => u.playerId === playerId);
+  socket.on('adminDeleteRoom', ({ roomId }) => {
+    const { playerId, user } = getSession(socket);
     
-    if (!user || user.role !== 'superadmin') {
+    if (!isSuperAdmin(user)) {
       socket.emit('deleteRoomResult', { success: false, message: 'Administrator access required' });
       return;
     }
@@ -639,16 +1497,81 @@ io.on('connection', (socket) => {
     io.to(roomId).emit('roomDeleted', { roomId });
     
     // Delete room
-    delete globalState.rooms[roomId];
+    removeRoom(roomId);
     
     socket.emit('deleteRoomResult', { success: true });
     broadcastRoomList();
-    saveState();
     
     console.log(`Room ${roomId} deleted by superadmin`);
   });
   
-  // Remove promote function - no one can be promoted
+  // SUPERADMIN ONLY: List accounts and their roles
+  socket.on('listUsers', () => {
+    const { user } = getSession(socket);
+    if (!isSuperAdmin(user)) {
+      socket.emit('listUsersResult', { success: false, message: 'Administrator access required' });
+      return;
+    }
+    
+    const users = Object.entries(globalState.users).map(([username, userData]) => ({
+      username: username,
+      role: userData.role || 'player',
+      createdAt: userData.createdAt
+    }));
+    
+    socket.emit('listUsersResult', { success: true, users });
+  });
+  
+  // SUPERADMIN ONLY: Promote or demote a user
+  socket.on('setUserRole', ({ username, role }) => {
+    const { username: adminUsername, user } = getSession(socket);
+    if (!isSuperAdmin(user)) {
+      socket.emit('setUserRoleResult', { success: false, message: 'Administrator access required' });
+      return;
+    }
+    
+    const target = globalState.users[username];
+    if (!target) {
+      socket.emit('setUserRoleResult', { success: false, message: 'User not found' });
+      return;
+    }
+    
+    if (!ROLES.includes(role)) {
+      socket.emit('setUserRoleResult', { success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+      return;
+    }
+    
+    // Never leave the site without a superadmin
+    const superAdminCount = Object.values(globalState.users).filter(u => u.role === 'superadmin').length;
+    if (target.role === 'superadmin' && role !== 'superadmin' && superAdminCount <= 1) {
+      socket.emit('setUserRoleResult', { success: false, message: 'Cannot demote the last administrator' });
+      return;
+    }
+    
+    target.role = role;
+    
+    // Staff and observers give up any country seats they hold
+    if (role !== 'player') {
+      Object.keys(globalState.rooms).forEach(roomId => {
+        const room = globalState.rooms[roomId];
+        if (room.players[target.playerId]) {
+          delete room.players[target.playerId];
+          room.readyPlayers = room.readyPlayers.filter(id => id !== target.playerId);
+          broadcastToRoom(roomId);
+          saveRoom(roomId);
+        }
+      });
+      broadcastRoomList();
+    }
+    
+    // Old tokens are revoked so the user logs in again under the new role
+    endSessions(username, `Your role is now: ${role}. Please log in again.`);
+    socket.emit('setUserRoleResult', { success: true, username, role });
+    saveUsers();
+    
+    console.log(`${adminUsername} set role of ${username} to ${role}`);
+  });
+  
   
   // Disconnect
   socket.on('disconnect', () => {
@@ -665,7 +1588,7 @@ io.on('connection', (socket) => {
         room.readyPlayers = room.readyPlayers.filter(id => id !== playerId);
         
         broadcastToRoom(roomId);
-        saveState();
+        saveRoom(roomId);
         
         console.log(`Player ${playerId} disconnected from room ${roomId} - keeping in game`);
       }
@@ -675,13 +1598,960 @@ io.on('connection', (socket) => {
   });
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log('🌍 Bretton Woods Multi-Room Server');
-  console.log('===================================');
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📂 State file: ${STATE_FILE}`);
-  console.log(`👥 Users: ${Object.keys(globalState.users).length}`);
-  console.log(`🏠 Rooms: ${Object.keys(globalState.rooms).length}`);
+// Room actions shared by the Socket.IO handlers and the REST API. Each checks
+// the room is in the right phase, applies the change, broadcasts and saves,
+// and returns { success, message }. Callers check permissions first.
+
+function startRoomGame(roomId) {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  if (room.gameStarted) return { success: false, message: 'Game already started' };
+  
+  if (Object.keys(room.players).length < 2) {
+    return { success: false, message: 'Need at least 2 players to start' };
+  }
+  
+  room.gameStarted = true;
+  room.gamePhase = 'negotiation';
+  room.currentRound = 1;
+  
+  broadcastToRoom(roomId);
+  broadcastRoomList();
+  saveRoom(roomId);
+  return { success: true };
+}
+
+// Close negotiation and open voting on the current issue
+function openRoomVoting(roomId) {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  if (room.gamePhase !== 'negotiation') {
+    return { success: false, message: 'Voting can only be opened during negotiation' };
+  }
+  
+  // Unanswered proposals lapse when negotiation closes
+  room.deals.forEach(deal => {
+    if (deal.status === 'proposed') {
+      deal.status = 'expired';
+    }
+  });
+  
+  room.gamePhase = 'voting';
+  room.votes = {};
+  castBotVotes(room);
+  
+  broadcastToRoom(roomId);
+  broadcastRoomList();
+  saveRoom(roomId);
+  
+  console.log(`Voting opened for round ${room.currentRound} in room ${roomId}`);
+  return { success: true };
+}
+
+// Close the current round (if still voting) and move on to the next one or to Phase 2
+function advanceRoomRound(roomId) {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  if (!room.gameStarted || (room.gamePhase !== 'voting' && room.gamePhase !== 'results')) {
+    return { success: false, message: `Cannot advance the round while the room is in ${room.gamePhase}` };
+  }
+  
+  // Close voting with the votes cast so far
+  if (room.gamePhase === 'voting') {
+    calculateScoresForCurrentRound(room);
+  }
+  
+  // Check if Phase 1 is complete
+  if (room.currentRound >= gameData.issues.length) {
+    // All voting rounds complete, transition to Phase 2
+    initializePhase2(room);
+    setBotPolicies(room);
+    announceAgreements(roomId);
+    announceYearEvents(roomId);
+  } else {
+    // Continue to next round, opening with negotiation
+    room.currentRound++;
+    room.gamePhase = 'negotiation';
+    room.votes = {};
+    room.readyPlayers = [];
+    console.log(`Advancing to round ${room.currentRound}`);
+  }
+  
+  broadcastToRoom(roomId);
+  broadcastRoomList();
+  saveRoom(roomId);
+  return { success: true };
+}
+
+// Resolve the current Phase 2 year and move on to the next one
+function advanceRoomYear(roomId) {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  if (!room.phase2.active) return { success: false, message: 'Phase 2 is not active' };
+  
+  calculateYearEconomics(room);
+  room.phase2.currentYear++;
+  room.readyPlayers = [];
+  
+  // Policies set in the final year produce the last year of data
+  if (room.phase2.currentYear >= PHASE2_START_YEAR + room.phase2.maxYears - 1) {
+    calculateFinalAchievements(room);
+    room.phase2.active = false;
+    room.gamePhase = 'complete';
+    console.log(`Phase 2 complete in room ${roomId}`);
+  } else {
+    setBotPolicies(room);
+    announceYearEvents(roomId);
+    console.log(`Advanced to year ${room.phase2.currentYear} in room ${roomId}`);
+  }
+  
+  broadcastToRoom(roomId);
+  broadcastRoomList();
+  saveRoom(roomId);
+  return { success: true };
+}
+
+// Keep a chat message in its channel's history
+function storeChatMessage(room, chatMessage) {
+  const { channel } = chatMessage;
+  if (!room.messages) room.messages = {};
+  if (!room.messages[channel]) room.messages[channel] = [];
+  room.messages[channel].push(chatMessage);
+}
+
+// Announce the historical events of the year players are about to play,
+// as news in the public chat
+function announceYearEvents(roomId) {
+  const room = globalState.rooms[roomId];
+  const year = room.phase2.currentYear;
+  const events = eventsForYear(year);
+  
+  if (!room.phase2.events) room.phase2.events = {};
+  room.phase2.events[year] = events.map(event => ({
+    id: event.id,
+    title: event.title,
+    context: event.context,
+    countries: [...new Set((event.effects || []).flatMap(effect => effect.countries))]
+  }));
+  
+  room.phase2.events[year].forEach(event => {
+    const affected = event.countries.map(country => gameData.countries[country]?.name || country).join(', ');
+    const chatMessage = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      channel: 'public',
+      from: 'News',
+      fromPlayerId: null,
+      text: `📰 ${year}: ${event.title}. ${event.context} Affects: ${affected}.`,
+      sentAt: Date.now()
+    };
+    storeChatMessage(room, chatMessage);
+    io.to(roomId).emit('chatMessage', chatMessage);
+  });
+  
+  if (events.length > 0) {
+    console.log(`📰 ${year} events in room ${roomId}: ${events.map(event => event.id).join(', ')}`);
+  }
+}
+
+// Tell the room what the Phase 1 agreements mean for Phase 2, including
+// what the IMF and World Bank will do
+function announceAgreements(roomId) {
+  const room = globalState.rooms[roomId];
+  const institutions = Object.values(room.phase2.institutions).filter(Boolean);
+  
+  [...room.phase2.agreements.summaries, ...institutions.map(institution => institution.summary)].forEach(summary => {
+    const chatMessage = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      channel: 'public',
+      from: 'News',
+      fromPlayerId: null,
+      text: `🏛️ ${summary}`,
+      sentAt: Date.now()
+    };
+    storeChatMessage(room, chatMessage);
+    io.to(roomId).emit('chatMessage', chatMessage);
+  });
+}
+
+// Take whatever step comes next in the room's current phase
+function advanceRoom(roomId) {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  
+  if (room.gamePhase === 'lobby') return startRoomGame(roomId);
+  if (room.gamePhase === 'negotiation') return openRoomVoting(roomId);
+  if (room.gamePhase === 'phase2') return advanceRoomYear(roomId);
+  if (room.gamePhase === 'complete') return { success: false, message: 'Game is complete' };
+  return advanceRoomRound(roomId);
+}
+
+// Reset game state but keep players
+function resetRoomGame(roomId) {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  
+  // The game being reset, chat transcript included, is archived for its debrief.
+  // The copy is closed as complete so it can't be played on when opened.
+  let archivedRoomId = null;
+  if (room.gameStarted || Object.keys(room.messages || {}).length > 0) {
+    archivedRoomId = `${roomId}_reset_${Date.now()}`;
+    const archivedRoom = {
+      ...room,
+      roomId: archivedRoomId,
+      roomName: `${room.roomName} (before reset)`,
+      gamePhase: 'complete',
+      phase2: { ...room.phase2, active: false }
+    };
+    try {
+      storage.saveRoom(archivedRoomId, archivedRoom, { archived: true });
+      console.log(`📦 Room ${roomId} archived as ${archivedRoomId} before reset`);
+    } catch (err) {
+      console.error(`❌ Error archiving room ${roomId} before reset:`, err);
+      return { success: false, message: 'The game could not be archived, so it was not reset' };
+    }
+  }
+  
+  room.gameStarted = false;
+  room.currentRound = 0;
+  room.gamePhase = 'lobby';
+  room.votes = {};
+  room.scores = { USA: 0, UK: 0, USSR: 0, France: 0, China: 0, India: 0, Argentina: 0 };
+  room.roundHistory = [];
+  room.roundResult = null;
+  room.deals = [];
+  room.messages = {};
+  room.readyPlayers = [];
+  room.phase2 = createPhase2State();
+  
+  broadcastToRoom(roomId);
+  broadcastRoomList();
+  saveRoom(roomId);
+  if (!archivedRoomId) return { success: true };
+  return { success: true, message: `The game before the reset is archived as room ${archivedRoomId}`, archivedRoomId };
+}
+
+// Remove a player from their seat; their account stays and they may rejoin
+function kickPlayer(roomId, playerId) {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  
+  const player = room.players[playerId];
+  if (!player) return { success: false, message: 'Player not found in this room' };
+  
+  delete room.players[playerId];
+  delete room.votes[playerId];
+  room.readyPlayers = room.readyPlayers.filter(id => id !== playerId);
+  
+  // Their sockets stop receiving the country's private channels
+  const username = Object.keys(globalState.users).find(name => globalState.users[name].playerId === playerId);
+  if (username) {
+    io.in(userChannelRoom(username)).socketsLeave(countryChannelRoom(roomId, player.country));
+    io.to(userChannelRoom(username)).emit('kicked', { roomId, country: player.country });
+  }
+  
+  broadcastToRoom(roomId);
+  broadcastRoomList();
+  saveRoom(roomId);
+  
+  console.log(`Player ${playerId} (${player.country}) kicked from room ${roomId}`);
+  return { success: true };
+}
+
+// Seat a bot for an unclaimed country (bots.js). It plays until it is kicked.
+function addBot(roomId, country, strategy = 'historical') {
+  const room = globalState.rooms[roomId];
+  if (!room) return { success: false, message: 'Room not found' };
+  if (!Object.keys(gameData.countries).includes(country)) return { success: false, message: `Unknown country: ${country}` };
+  if (!BOT_STRATEGIES.includes(strategy)) {
+    return { success: false, message: `Strategy must be one of: ${BOT_STRATEGIES.join(', ')}` };
+  }
+  if (room.gamePhase === 'phase2' || room.gamePhase === 'complete') {
+    return { success: false, message: 'Bots can only be added before Phase 2 starts' };
+  }
+  if (findPlayerIdByCountry(room, country)) return { success: false, message: 'Country already taken' };
+  
+  const botId = `bot_${country}`;
+  room.players[botId] = {
+    id: botId,
+    country: country,
+    bot: { strategy },
+    joinedAt: Date.now()
+  };
+  // A bot added while voting is open votes straight away
+  if (room.gamePhase === 'voting') castBotVotes(room);
+  
+  broadcastToRoom(roomId);
+  broadcastRoomList();
+  saveRoom(roomId);
+  
+  console.log(`🤖 ${strategy} bot joined as ${country} in room ${roomId}`);
+  return { success: true, message: `A ${strategy} bot now plays ${gameData.countries[country].name}` };
+}
+
+// Bots vote on the current issue as soon as voting opens
+function castBotVotes(room) {
+  const issue = gameData.issues[room.currentRound - 1];
+  Object.values(room.players).filter(player => player.bot).forEach(player => {
+    room.votes[player.id] = chooseVote(issue, player.country, player.bot.strategy);
+  });
+}
+
+// Bots set their policies at the start of each Phase 2 year
+function setBotPolicies(room) {
+  const year = room.phase2.currentYear;
+  Object.values(room.players).filter(player => player.bot).forEach(player => {
+    const policy = choosePolicy(room, player.country, player.bot.strategy, forecastYear);
+    if (!policy) {
+      console.log(`🤖 ${player.country} bot found no valid policy for ${year} in room ${room.roomId}`);
+      return;
+    }
+    if (!room.phase2.policies[year]) room.phase2.policies[year] = {};
+    room.phase2.policies[year][player.country] = { ...policy, submittedAt: Date.now() };
+  });
+}
+
+// Find the player seated as a given country
+function findPlayerIdByCountry(room, country) {
+  return Object.keys(room.players).find(id => room.players[id].country === country);
+}
+
+// Validate one side of a deal, returning null if it is not allowed
+function normalizeDealTerms(room, terms) {
+  if (!terms) return null;
+  
+  if (terms.type === 'vote') {
+    const issueIndex = gameData.issues.findIndex(issue => issue.id === parseInt(terms.issueId, 10));
+    const issue = gameData.issues[issueIndex];
+    if (!issue || issueIndex < room.currentRound - 1) return null;
+    if (!issue.options.some(opt => opt.id === terms.optionId)) return null;
+    return { type: 'vote', issueId: issue.id, optionId: terms.optionId };
+  }
+  
+  if (terms.type === 'points') {
+    const amount = parseInt(terms.amount, 10);
+    if (!(amount >= 1 && amount <= MAX_DEAL_POINTS)) return null;
+    return { type: 'points', amount };
+  }
+  
+  return null;
+}
+
+// Move promised score points between countries
+function settleDealTransfer(room, terms, fromCountry, toCountry) {
+  if (terms.type !== 'points') return;
+  
+  room.scores[fromCountry] = (room.scores[fromCountry] || 0) - terms.amount;
+  room.scores[toCountry] = (room.scores[toCountry] || 0) + terms.amount;
+  terms.outcome = 'kept';
+}
+
+// Check accepted deals' vote promises on this issue and penalise broken ones
+function resolveDealPromises(room, issue) {
+  const outcomes = [];
+  
+  (room.deals || []).filter(deal => deal.status === 'accepted').forEach(deal => {
+    [[deal.offer, deal.proposer], [deal.request, deal.recipient]].forEach(([terms, country]) => {
+      if (terms.type !== 'vote' || terms.issueId !== issue.id || terms.outcome) return;
+      
+      const playerId = findPlayerIdByCountry(room, country);
+      const kept = Boolean(playerId) && room.votes[playerId] === terms.optionId;
+      terms.outcome = kept ? 'kept' : 'broken';
+      
+      if (!kept) {
+        room.scores[country] = (room.scores[country] || 0) - DEAL_BREACH_PENALTY;
+      }
+      
+      outcomes.push({
+        dealId: deal.id,
+        country: country,
+        issueId: terms.issueId,
+        optionId: terms.optionId,
+        kept: kept,
+        penalty: kept ? 0 : DEAL_BREACH_PENALTY
+      });
+    });
+  });
+  
+  if (outcomes.length > 0) {
+    console.log(`Deal promises on issue ${issue.id} in room ${room.roomId}:`, outcomes.map(o => `${o.country} ${o.kept ? 'kept' : 'broke'} ${o.dealId}`));
+  }
+  
+  return outcomes;
+}
+
+// Calculate each seated country's voting power under the room's voting rule.
+// Quotas follow the IMF formula in spirit: half from national income, half from gold.
+function calculateVotingPower(room) {
+  const seatedCountries = Object.values(room.players).map(p => p.country);
+  const votingPower = {};
+  
+  if (!room.votingRule || room.votingRule.type === 'majority') {
+    seatedCountries.forEach(country => votingPower[country] = 1);
+    return votingPower;
+  }
+  
+  const economicData = gameData.economicData;
+  const totalGdp = Object.values(economicData).reduce((sum, d) => sum + d.gdp, 0);
+  const totalGold = Object.values(economicData).reduce((sum, d) => sum + d.goldReserves, 0);
+  
+  seatedCountries.forEach(country => {
+    const data = economicData[country];
+    const quota = data ? 50 * (data.gdp / totalGdp) + 50 * (data.goldReserves / totalGold) : 0;
+    votingPower[country] = Math.round(quota * 10) / 10;
+  });
+  
+  return votingPower;
+}
+
+// Calculate scores for current round (Phase 1)
+function calculateScoresForCurrentRound(room) {
+  const currentIssue = gameData.issues[room.currentRound - 1];
+  if (!currentIssue) return;
+  
+  const votingRule = room.votingRule || { type: 'majority' };
+  const votingPower = calculateVotingPower(room);
+  
+  // Count votes and voting power for each option
+  const voteCounts = {};
+  const weightedVotes = {};
+  currentIssue.options.forEach(opt => {
+    voteCounts[opt.id] = 0;
+    weightedVotes[opt.id] = 0;
+  });
+  
+  let votesCast = 0;
+  const ballots = {};
+  Object.keys(room.players).forEach(playerId => {
+    const votedOptionId = room.votes[playerId];
+    if (votedOptionId) {
+      const country = room.players[playerId].country;
+      ballots[country] = votedOptionId;
+      voteCounts[votedOptionId] = (voteCounts[votedOptionId] || 0) + 1;
+      weightedVotes[votedOptionId] = Math.round(((weightedVotes[votedOptionId] || 0) + votingPower[country]) * 10) / 10;
+      votesCast++;
+    }
+  });
+  
+  // Find the option with the most (weighted) votes; first listed option wins ties
+  let winningOptionId = null;
+  let maxVotes = 0;
+  Object.entries(weightedVotes).forEach(([optId, weight]) => {
+    if (weight > maxVotes) {
+      maxVotes = weight;
+      winningOptionId = optId;
+    }
+  });
+  
+  // A supermajority must be reached against the voting power of every seated country
+  if (votingRule.type === 'supermajority' && winningOptionId) {
+    const totalPower = Object.values(votingPower).reduce((sum, power) => sum + power, 0);
+    if (maxVotes / totalPower * 100 < votingRule.threshold) {
+      winningOptionId = null;
+    }
+  }
+  
+  room.gamePhase = 'results';
+  
+  // Promises are judged on the votes as cast, even if nobody voted
+  const dealOutcomes = resolveDealPromises(room, currentIssue);
+  const winningOption = currentIssue.options.find(opt => opt.id === winningOptionId);
+  
+  // Store round result, also when nobody voted: broken promises were still penalised
+  room.roundHistory.push({
+    round: room.currentRound,
+    issue: currentIssue.title,
+    winningOption: winningOption ? winningOption.text : null,
+    votes: voteCounts,
+    ballots: ballots,
+    votingRule: votingRule,
+    votingPower: votingPower,
+    weightedVotes: weightedVotes,
+    deals: (room.deals || [])
+      .filter(deal => deal.round === room.currentRound && deal.status === 'accepted')
+      .map(deal => ({ ...deal, offer: { ...deal.offer }, request: { ...deal.request } })),
+    dealOutcomes: dealOutcomes
+  });
+  
+  if (votesCast === 0) {
+    room.roundResult = { round: room.currentRound, issueId: currentIssue.id, winningOptionId: null, votes: voteCounts, weightedVotes, votingPower, roundScores: {}, dealOutcomes };
+    console.log(`Round ${room.currentRound} closed with no votes in room ${room.roomId}`);
+    return;
+  }
+  
+  // Award points based on winning option; no agreement scores nothing
+  const roundScores = {};
+  Object.values(room.players).forEach(player => {
+    let points = 0;
+    if (winningOption && winningOption.favors.includes(player.country)) {
+      points += 10;
+    }
+    if (winningOption && winningOption.opposes.includes(player.country)) {
+      points -= 5;
+    }
+    roundScores[player.country] = points;
+    room.scores[player.country] = (room.scores[player.country] || 0) + points;
+  });
+  
+  room.roundResult = {
+    round: room.currentRound,
+    issueId: currentIssue.id,
+    winningOptionId: winningOption ? winningOption.id : null,
+    votes: voteCounts,
+    weightedVotes: weightedVotes,
+    votingPower: votingPower,
+    roundScores: roundScores,
+    dealOutcomes: dealOutcomes
+  };
+  
+  console.log(`Round ${room.currentRound} results in room ${room.roomId} (${votingRule.type}):`, { winningOption: winningOptionId, weightedVotes });
+}
+
+// Initialize Phase 2: Post-war economic management
+function initializePhase2(room) {
+  const initialEconomicData = gameData.economicData;
+  const { startingConditions } = getScenario(room.scenario);
+  
+  room.phase2 = createPhase2State();
+  room.phase2.active = true;
+  room.phase2.startingScores = { ...room.scores }; // Phase 1 totals, before any Phase 2 points
+  room.phase2.agreements = createAgreements(room);
+  room.phase2.institutions = createInstitutions(room);
+  room.gamePhase = 'phase2';
+  room.readyPlayers = [];
+  
+  // Initialize starting economic conditions for each country
+  room.phase2.yearlyData[PHASE2_START_YEAR] = {};
+  Object.keys(room.players).forEach(playerId => {
+    const player = room.players[playerId];
+    const country = player.country;
+    // The scenario may override any of the game-data starting figures
+    const initialData = { ...initialEconomicData[country], ...startingConditions[country] };
+    
+    // IMF members pay part of their quota in gold
+    const quotaPayment = room.phase2.institutions.imf ? quotaGoldPayment(room.phase2.institutions.imf, country) : 0;
+    
+    room.phase2.yearlyData[PHASE2_START_YEAR][country] = {
+      gdpGrowth: 0,
+      goldReserves: Math.max(0, initialData.goldReserves - quotaPayment),
+      unemployment: initialData.unemployment,
+      tradeBalance: initialData.tradeBalance,
+      inflation: initialData.inflation,
+      industrialOutput: initialData.industrialOutput,
+      ...startingBudget(initialData),
+      imfDebt: 0,
+      worldBankDebt: 0
+    };
+  });
+  
+  console.log(`Phase 2 initialized in room ${room.roomId}: Post-war economic management begins (1946-1952)`);
+}
+
+// Calculate economic outcomes for the year based on policies
+function calculateYearEconomics(room) {
+  const currentYear = room.phase2.currentYear;
+  if (!room.phase2.yearlyData[currentYear]) return;
+  
+  // Rooms saved before seeds existed get one now
+  if (room.seed === undefined) room.seed = randomSeed();
+  
+  const nextYear = currentYear + 1;
+  const { results, yearScores } = simulateYear(room, room.phase2.policies[currentYear] || {});
+  room.phase2.yearlyData[nextYear] = results;
+  
+  // Store year scores and breakdowns for later display
+  if (!room.phase2.yearScores) room.phase2.yearScores = {};
+  room.phase2.yearScores[nextYear] = yearScores;
+  Object.entries(yearScores).forEach(([country, yearScore]) => {
+    room.scores[country] += yearScore.total;
+  });
+  
+  Object.entries(results).filter(([, data]) => data.tradeRetaliation).forEach(([country]) => {
+    console.log(`🚫 Trade partners retaliate against ${country}'s tariffs in room ${room.roomId}`);
+  });
+}
+
+// Re-run the economic model from the room's seed and submitted policies.
+// Returns the replayed yearlyData, which should match the stored one exactly.
+function replayPhase2(room) {
+  const countries = Object.keys(room.phase2.yearlyData[PHASE2_START_YEAR] || {});
+  const replay = {
+    roomId: room.roomId,
+    seed: room.seed,
+    scenario: room.scenario,
+    players: {},
+    scores: { ...room.phase2.startingScores },
+    roundHistory: room.roundHistory
+  };
+  countries.forEach(country => {
+    replay.players[country] = { id: country, country: country };
+  });
+  
+  initializePhase2(replay);
+  replay.phase2.policies = room.phase2.policies;
+  replay.phase2.loans = room.phase2.loans || [];
+  
+  for (let year = PHASE2_START_YEAR; year < room.phase2.currentYear; year++) {
+    replay.phase2.currentYear = year;
+    calculateYearEconomics(replay);
+  }
+  
+  return replay.phase2.yearlyData;
+}
+
+// Calculate final achievements and bonuses at end of Phase 2
+function calculateFinalAchievements(room) {
+  if (!room.phase2.achievements) {
+    room.phase2.achievements = {};
+  }
+  
+  const countries = Object.keys(room.players).map(pid => room.players[pid].country);
+  const thresholds = getScenario(room.scenario).achievements;
+  
+  countries.forEach(country => {
+    const achievements = [];
+    let bonusPoints = 0;
+    
+    // Get all years data for this country
+    const years = [];
+    for (let year = PHASE2_START_YEAR; year < PHASE2_START_YEAR + room.phase2.maxYears; year++) {
+      if (room.phase2.yearlyData[year] && room.phase2.yearlyData[year][country]) {
+        years.push(room.phase2.yearlyData[year][country]);
+      }
+    }
+    
+    if (years.length === 0) return;
+    
+    // Calculate averages
+    const avgGDP = years.reduce((sum, y) => sum + y.gdpGrowth, 0) / years.length;
+    const avgUnemployment = years.reduce((sum, y) => sum + y.unemployment, 0) / years.length;
+    const avgInflation = years.reduce((sum, y) => sum + y.inflation, 0) / years.length;
+    
+    // Achievement: Golden Age
+    const { goldenAge, stableProsperity, tradeChampion, phoenixRising } = thresholds;
+    if (avgGDP > goldenAge.avgGdpGrowthAbove && avgUnemployment < goldenAge.avgUnemploymentBelow &&
+        avgInflation >= goldenAge.minAvgInflation && avgInflation <= goldenAge.maxAvgInflation && 
+        years.every(y => y.gdpGrowth > 0)) {
+      achievements.push({ name: 'Golden Age', description: 'Exceptional economic performance', points: goldenAge.points });
+      bonusPoints += goldenAge.points;
+    }
+    
+    // Achievement: Stable Prosperity
+    else if (years.every(y => y.gdpGrowth > 0) && 
+             years.every(y => y.inflation <= stableProsperity.maxInflation) &&
+             years.every(y => y.unemployment <= stableProsperity.maxUnemployment)) {
+      achievements.push({ name: 'Stable Prosperity', description: 'Maintained stability all years', points: stableProsperity.points });
+      bonusPoints += stableProsperity.points;
+    }
+    
+    // Achievement: Trade Champion
+    const allPositiveTrade = years.every(y => y.tradeBalance > 0);
+    const totalTradeSurplus = years.reduce((sum, y) => sum + Math.max(0, y.tradeBalance), 0);
+    if (allPositiveTrade && totalTradeSurplus > tradeChampion.totalSurplusAbove) {
+      achievements.push({ name: 'Trade Champion', description: 'Trade surplus all years', points: tradeChampion.points });
+      bonusPoints += tradeChampion.points;
+    }
+    
+    // Achievement: Phoenix Rising
+    const startGDP = gameData.economicData[country].gdp;
+    const endGDP = startGDP + years.reduce((sum, y) => sum + y.gdpGrowth, 0);
+    if (endGDP / startGDP > phoenixRising.gdpRatioAbove) {
+      const percent = Math.round((phoenixRising.gdpRatioAbove - 1) * 100);
+      achievements.push({ name: 'Phoenix Rising', description: `${percent}%+ GDP growth`, points: phoenixRising.points });
+      bonusPoints += phoenixRising.points;
+    }
+    
+    // China-specific achievements
+    if (country === 'China') {
+      const { survivedTheStorm, greatLeap } = thresholds;
+      // Survived the Storm (automatic)
+      achievements.push({ name: 'Survived the Storm', description: 'Completed Phase 2 as China', points: survivedTheStorm.points });
+      bonusPoints += survivedTheStorm.points;
+      
+      // Great Leap - High growth in reconstruction years
+      const reconstructionYears = [1950, 1951, 1952].map(y => 
+        room.phase2.yearlyData[y] ? room.phase2.yearlyData[y][country] : null
+      ).filter(Boolean);
+      
+      if (reconstructionYears.length >= 3) {
+        const avgReconstructionGDP = reconstructionYears.reduce((sum, y) => sum + y.gdpGrowth, 0) / reconstructionYears.length;
+        if (avgReconstructionGDP > greatLeap.avgGdpGrowthAbove) {
+          achievements.push({ name: 'Great Leap', description: 'Exceptional post-civil war recovery', points: greatLeap.points });
+          bonusPoints += greatLeap.points;
+        }
+      }
+    }
+    
+    // USA-specific achievements
+    if (country === 'USA') {
+      // Bretton Woods Leader
+      const alwaysHighestGold = years.every((_, idx) => {
+        const year = 1946 + idx;
+        const yearData = room.phase2.yearlyData[year];
+        if (!yearData) return false;
+        return Object.keys(yearData).every(c => 
+          c === 'USA' || yearData['USA'].goldReserves >= yearData[c].goldReserves
+        );
+      });
+      
+      if (alwaysHighestGold) {
+        achievements.push({ name: 'Bretton Woods Leader', description: 'Maintained gold supremacy', points: thresholds.brettonWoodsLeader.points });
+        bonusPoints += thresholds.brettonWoodsLeader.points;
+      }
+    }
+    
+    // USSR-specific achievement
+    if (country === 'USSR') {
+      // Soviet Miracle
+      const { sovietMiracle } = thresholds;
+      if (avgGDP >= sovietMiracle.minAvgGdpGrowth) {
+        achievements.push({ name: 'Soviet Miracle', description: 'Command economy excellence', points: sovietMiracle.points });
+        bonusPoints += sovietMiracle.points;
+      }
+    }
+    
+    // India-specific achievements
+    if (country === 'India') {
+      const { partitionSurvivor, postColonialSuccess, nonAlignedLeader } = thresholds;
+      // Partition Survivor - Navigate 1947-1948 transition successfully
+      const partition1947 = room.phase2.yearlyData[1947]?.[country];
+      const partition1948 = room.phase2.yearlyData[1948]?.[country];
+      if (partition1947 && partition1948) {
+        // Survived if GDP stayed positive and unemployment didn't explode
+        if (partition1947.gdpGrowth > partitionSurvivor.gdpGrowth1947Above &&
+            partition1948.gdpGrowth > partitionSurvivor.gdpGrowth1948Above && 
+            partition1947.unemployment < partitionSurvivor.unemployment1947Below &&
+            partition1948.unemployment < partitionSurvivor.unemployment1948Below) {
+          achievements.push({ name: 'Partition Survivor', description: 'Navigated independence crisis successfully', points: partitionSurvivor.points });
+          bonusPoints += partitionSurvivor.points;
+        }
+      }
+      
+      // Post-Colonial Success - Strong growth after independence
+      if (avgGDP >= postColonialSuccess.minAvgGdpGrowth && avgInflation < postColonialSuccess.avgInflationBelow) {
+        achievements.push({ name: 'Post-Colonial Success', description: 'Strong independent development', points: postColonialSuccess.points });
+        bonusPoints += postColonialSuccess.points;
+      }
+      
+      // Non-Aligned Leader - Balance without extreme policies
+      const avgTariff = years.reduce((sum, y) => {
+        const year = 1946 + years.indexOf(y);
+        const policy = room.phase2.policies[year]?.[country];
+        return sum + (policy?.tariffRate || 0);
+      }, 0) / years.length;
+      
+      if (avgTariff >= nonAlignedLeader.minAvgTariff && avgTariff <= nonAlignedLeader.maxAvgTariff) {
+        achievements.push({ name: 'Non-Aligned Leader', description: 'Balanced economic sovereignty', points: nonAlignedLeader.points });
+        bonusPoints += nonAlignedLeader.points;
+      }
+    }
+    
+    // Argentina-specific achievements
+    if (country === 'Argentina') {
+      const { agriculturalPowerhouse, economicIndependence } = thresholds;
+      // Agricultural Powerhouse - Strong trade performance
+      const totalTrade = years.reduce((sum, y) => sum + Math.max(0, y.tradeBalance), 0);
+      if (totalTrade > agriculturalPowerhouse.totalSurplusAbove && avgGDP >= agriculturalPowerhouse.minAvgGdpGrowth) {
+        achievements.push({ name: 'Agricultural Powerhouse', description: 'Export-led prosperity', points: agriculturalPowerhouse.points });
+        bonusPoints += agriculturalPowerhouse.points;
+      }
+      
+      // Economic Independence - Avoid debt while growing
+      const finalGold = years[years.length - 1].goldReserves;
+      const startGold = room.phase2.yearlyData[PHASE2_START_YEAR][country].goldReserves;
+      if (finalGold >= startGold && avgGDP >= economicIndependence.minAvgGdpGrowth) {
+        achievements.push({ name: 'Economic Independence', description: 'Self-sufficient growth', points: economicIndependence.points });
+        bonusPoints += economicIndependence.points;
+      }
+    }
+    
+    // Store achievements
+    room.phase2.achievements[country] = {
+      list: achievements,
+      totalBonus: bonusPoints
+    };
+    
+    // Add bonus to score
+    room.scores[country] += bonusPoints;
+    
+    console.log(`${country} earned ${bonusPoints} achievement bonus points in room ${room.roomId}`);
+    achievements.forEach(a => console.log(`  - ${a.name}: ${a.points} pts`));
+  });
+}
+
+// REST API for facilitators
+// Scripts log in with POST /api/login, then send the token as
+// "Authorization: Bearer <token>". Only superadmins and instructors may use the
+// API, and instructors only see the rooms they own.
+const api = express.Router();
+api.use(express.json());
+
+api.post('/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  const user = globalState.users[username];
+  
+  if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.password))) {
+    return res.status(401).json({ success: false, message: 'Invalid username or password' });
+  }
+  
+  if (needsRehash(user.password)) {
+    user.password = await hashPassword(password);
+    saveUsers();
+  }
+  
+  res.json({ success: true, role: user.role || 'player', token: createSessionToken(username, user) });
+});
+
+// Accept only valid tokens belonging to staff accounts
+function requireApiUser(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const session = verifySessionToken(header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null);
+  const user = session ? globalState.users[session.username] : null;
+  
+  if (!isCurrentSession(session, user)) {
+    return res.status(401).json({ success: false, message: 'Log in at /api/login and send the token as a Bearer token' });
+  }
+  
+  if (user.role !== 'superadmin' && user.role !== 'instructor') {
+    return res.status(403).json({ success: false, message: 'Only instructors and administrators can use the API' });
+  }
+  
+  req.user = user;
+  next();
+}
+
+// Look up :roomId (archived rooms included) and check the caller manages it
+function requireManagedRoom(req, res, next) {
+  const room = globalState.rooms[req.params.roomId] || loadArchivedRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ success: false, message: 'Room not found' });
+  }
+  
+  if (!canManageRoom(req.user, room)) {
+    return res.status(403).json({ success: false, message: 'You do not manage this room' });
+  }
+  
+  req.room = room;
+  next();
+}
+
+// Reply with a room action's result
+function sendActionResult(res, result) {
+  res.status(result.success ? 200 : 409).json(result);
+}
+
+api.use('/rooms', requireApiUser);
+api.use('/rooms/:roomId', requireManagedRoom);
+
+api.get('/rooms', (req, res) => {
+  const rooms = globalState.roomList.filter(entry => canManageRoom(req.user, globalState.rooms[entry.id]));
+  res.json({ success: true, rooms });
+});
+
+api.get('/rooms/:roomId', (req, res) => {
+  res.json({ success: true, room: projectRoomState(req.room, { facilitator: true }) });
+});
+
+api.post('/rooms/:roomId/start', (req, res) => {
+  sendActionResult(res, startRoomGame(req.params.roomId));
+});
+
+api.post('/rooms/:roomId/advance', (req, res) => {
+  sendActionResult(res, advanceRoom(req.params.roomId));
+});
+
+api.post('/rooms/:roomId/reset', (req, res) => {
+  sendActionResult(res, resetRoomGame(req.params.roomId));
+});
+
+// Kick by player id or by country name
+api.delete('/rooms/:roomId/players/:player', (req, res) => {
+  const { room, params } = req;
+  const playerId = room.players[params.player] ? params.player : findPlayerIdByCountry(room, params.player);
+  
+  if (!playerId) {
+    return res.status(404).json({ success: false, message: 'Player not found in this room' });
+  }
+  
+  sendActionResult(res, kickPlayer(params.roomId, playerId));
+});
+
+// Body: { country, strategy } with strategy historical, greedy or cooperative
+api.post('/rooms/:roomId/bots', (req, res) => {
+  const { country, strategy } = req.body || {};
+  sendActionResult(res, addBot(req.params.roomId, country, strategy));
+});
+
+api.get('/rooms/:roomId/history', (req, res) => {
+  res.json({ success: true, roundHistory: req.room.roundHistory });
+});
+
+api.get('/rooms/:roomId/scores', (req, res) => {
+  res.json({
+    success: true,
+    scores: req.room.scores,
+    yearScores: req.room.phase2.yearScores,
+    achievements: req.room.phase2.achievements
+  });
+});
+
+api.get('/rooms/:roomId/yearly-data', (req, res) => {
+  res.json({ success: true, yearlyData: req.room.phase2.yearlyData });
+});
+
+// ?format=csv downloads a file ready for a gradebook upload
+api.get('/rooms/:roomId/gradebook', (req, res) => {
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ success: false, message: 'format must be json or csv' });
+  }
+  
+  const rows = buildGradebook(req.room, globalState.users);
+  if (format === 'csv') {
+    res.attachment(`gradebook-${req.params.roomId}.csv`);
+    return res.type('text/csv').send(toCsv(rows));
+  }
+  res.json({ success: true, roomId: req.params.roomId, students: rows });
+});
+
+// Check a disputed result by replaying the room's policies from its seed
+api.get('/rooms/:roomId/replay', (req, res) => {
+  const { room } = req;
+  if (room.seed === undefined || !room.phase2.startingScores) {
+    return res.status(409).json({ success: false, message: 'This room was played before seeded replays were recorded' });
+  }
+  
+  const yearlyData = replayPhase2(room);
+  const stored = room.phase2.yearlyData;
+  // Compare country by country: storage backends may not keep the key order
+  const mismatchedYears = Object.keys({ ...stored, ...yearlyData }).filter(year => {
+    const countries = Object.keys({ ...stored[year], ...yearlyData[year] });
+    return countries.some(country =>
+      JSON.stringify((stored[year] || {})[country]) !== JSON.stringify((yearlyData[year] || {})[country])
+    );
+  });
+  
+  res.json({ success: true, seed: room.seed, matches: mismatchedYears.length === 0, mismatchedYears, yearlyData });
+});
+
+api.get('/rooms/:roomId/debrief', (req, res) => {
+  res.type('html').send(renderDebrief(req.room, gameData, { includeChat: true }));
+});
+
+app.use('/api', api);
+
+// Start server
+server.listen(PORT, () => {
+  console.log('🌍 Bretton Woods Multi-Room Server');
+  console.log('===================================');
+  console.log(`🚀 Server running on port ${PORT}`);
+  console.log(`📂 Storage (${storage.name}): ${storage.location}`);
+  console.log(`👥 Users: ${Object.keys(globalState.users).length}`);
+  console.log(`🏠 Rooms: ${Object.keys(globalState.rooms).length}`);
+  if (!process.env.SESSION_SECRET) {
+    console.log('⚠️  SESSION_SECRET not set: players must log in again after a restart');
+  }
+  if (SUPERADMIN_USERNAMES.length === 0) {
+    console.log('⚠️  SUPERADMIN_USERNAMES not set: no new account can become administrator');
+  }
   console.log('===================================');
 });
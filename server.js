@@ -3,22 +3,52 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
 const PORT = process.env.PORT || 65002;
-const STATE_FILE = path.join(__dirname, 'game-state.json');
+const { createStorage } = require('./storage');
+const { servePublicFiles } = require('./public-files');
+const JsonPatch = require('./json-patch');
+const { eventsForYear, eventEffects } = require('./events');
+const { createRng, randomSeed } = require('./random');
+const { validatePolicy } = require('./policies');
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createSessionToken,
+  verifySessionToken,
+  isCurrentSession,
+  revokeSessions
+} = require('./auth');
 
-// Serve static files
-app.use(express.static(__dirname));
+const storage = createStorage({
+  jsonFile: path.join(__dirname, 'game-state.json'),
+  sqliteFile: path.join(__dirname, 'game-state.db')
+});
+
+// The single game is stored as one room so both servers share a storage layout
+const ROOM_ID = 'main';
+
+// Facilitators who may reset the game, as in the multi-room server
+const SUPERADMIN_USERNAMES = (process.env.SUPERADMIN_USERNAMES || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Serve the client files only, never the game state files next to them
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+servePublicFiles(app);
 
 // Game state stored on server
 let gameState = {
   gameId: Date.now(),
+  seed: randomSeed(), // drives the random shocks in the Phase 2 economic model
   gameStarted: false,
   currentRound: 0,
   players: {},
@@ -28,7 +58,7 @@ let gameState = {
   scores: { USA: 0, UK: 0, USSR: 0, France: 0, China: 0, India: 0, Argentina: 0 },
   roundHistory: [],
   // User authentication
-  users: {}, // username -> { password: hashedPassword, playerId: string, createdAt: timestamp }
+  users: {}, // username -> { password: hashedPassword, playerId: string, createdAt: timestamp, sessionVersion: number }
   // Military deployments by country
   militaryDeployments: {
     USA: {
@@ -102,16 +132,20 @@ let gameState = {
     yearlyData: {}, // year -> country -> economic data
     policies: {}, // country -> { centralBankRate, exchangeRate, tariffRate }
     achievements: {}, // country -> achievements earned
-    yearScores: {} // year -> country -> score breakdown
+    yearScores: {}, // year -> country -> score breakdown
+    events: {} // year -> historical events announced that year
   }
 };
 
 // Load game state from file if it exists
 function loadGameState() {
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = fs.readFileSync(STATE_FILE, 'utf8');
-      const loadedState = JSON.parse(data);
+    const saved = storage.load();
+    if (saved) {
+      // Older saves are the flat game state with users inside it
+      const loadedState = saved.rooms
+        ? { ...saved.rooms[ROOM_ID], users: saved.users }
+        : saved;
       
       // Merge loaded state with defaults (preserves new features)
       gameState = {
@@ -132,7 +166,7 @@ function loadGameState() {
         }
       };
       
-      console.log('✅ Game state loaded from file');
+      console.log(`✅ Game state loaded (${storage.name})`);
       console.log(`   - Users: ${Object.keys(gameState.users).length}`);
       console.log(`   - Players in game: ${Object.keys(gameState.players).length}`);
       console.log(`   - Game phase: ${gameState.gamePhase}`);
@@ -148,14 +182,9 @@ function loadGameState() {
 // Save game state to file
 function saveGameState() {
   try {
-    // Create backup before saving
-    if (fs.existsSync(STATE_FILE)) {
-      const backupFile = STATE_FILE.replace('.json', '-backup.json');
-      fs.copyFileSync(STATE_FILE, backupFile);
-    }
-    
-    fs.writeFileSync(STATE_FILE, JSON.stringify(gameState, null, 2));
-    console.log('💾 Game state saved to file');
+    const { users, ...game } = gameState;
+    storage.save({ users, rooms: { [ROOM_ID]: game } });
+    console.log('💾 Game state saved');
   } catch (err) {
     console.error('❌ Error saving game state:', err);
   }
@@ -175,6 +204,7 @@ setInterval(() => {
 process.on('SIGINT', () => {
   console.log('\n⚠️  Server shutting down...');
   saveGameState();
+  storage.close();
   console.log('✅ Final save completed');
   process.exit(0);
 });
@@ -182,35 +212,160 @@ process.on('SIGINT', () => {
 process.on('SIGTERM', () => {
   console.log('\n⚠️  Server terminating...');
   saveGameState();
+  storage.close();
   console.log('✅ Final save completed');
   process.exit(0);
 });
 
-// Password hashing functions
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+// Bind a logged-in user to this socket and issue a token for reconnects
+function startSession(socket, username, user) {
+  socket.data.session = { username: username, playerId: user.playerId, sessionVersion: user.sessionVersion || 0 };
+  return createSessionToken(username, user);
 }
 
-function verifyPassword(password, hashedPassword) {
-  return hashPassword(password) === hashedPassword;
+// Identity of the user authenticated on this socket; handlers never trust a client-sent playerId
+function getSession(socket) {
+  const session = socket.data.session;
+  const user = session ? gameState.users[session.username] : null;
+  
+  if (!isCurrentSession(session, user)) {
+    return { username: null, playerId: null, user: null };
+  }
+  
+  return { username: session.username, playerId: user.playerId, user: user };
+}
+
+// Last state sent for each view of the game and its version, so changes go out as patches
+const stateViews = {}; // view key -> { version, state }
+
+// Work out which view of the game a client gets: a seated country or an observer
+function getViewer(socket) {
+  const { playerId } = getSession(socket);
+  const player = gameState.players[playerId];
+  if (player) {
+    return { key: `country:${player.country}`, country: player.country };
+  }
+  return { key: 'observer', country: null };
+}
+
+// Build the part of the game state a viewer may see. User accounts (and their
+// password hashes) never leave the server. Hidden entries become `true`: everyone
+// can see that a country has voted or submitted policies, but not what it chose
+// until the round or year resolves.
+function projectGameState(viewer) {
+  const { users, ...game } = gameState;
+  const state = JSON.parse(JSON.stringify(game));
+  
+  const issues = require('./game-data.json').issues;
+  const currentIssue = issues[state.currentRound - 1];
+  if (state.gamePhase === 'voting' && currentIssue) {
+    const prefix = `${currentIssue.id}-`;
+    Object.keys(state.votes).forEach(voteKey => {
+      if (voteKey.startsWith(prefix) && voteKey.slice(prefix.length) !== viewer.country) {
+        state.votes[voteKey] = true;
+      }
+    });
+  }
+  
+  if (state.gamePhase === 'phase2') {
+    const pending = state.phase2.policies[state.phase2.currentYear] || {};
+    Object.keys(pending).forEach(country => {
+      if (country !== viewer.country) pending[country] = true;
+    });
+  }
+  
+  // With the seed, players could work out the economic shocks in advance
+  if (state.gamePhase !== 'complete') delete state.seed;
+  
+  return state;
+}
+
+// Bring one view up to date and return it with the changes since last time.
+// Versions start at the current time so a client from before a restart
+// never mistakes the new versions for its own
+function updateView(viewer) {
+  const state = projectGameState(viewer);
+  const view = stateViews[viewer.key];
+  
+  if (!view) {
+    stateViews[viewer.key] = { version: Date.now(), state: state };
+    return { view: stateViews[viewer.key], ops: [] };
+  }
+  
+  const ops = JsonPatch.diff(view.state, state);
+  if (ops.length > 0) {
+    view.version++;
+    view.state = state;
+  }
+  
+  return { view, ops };
+}
+
+// Send every client the changes to its view. Clients whose view changed
+// (e.g. they just took a seat) or who asked for it get a full snapshot.
+function syncState() {
+  const updates = {};
+  io.sockets.sockets.forEach(socket => {
+    const viewer = getViewer(socket);
+    if (!updates[viewer.key]) {
+      updates[viewer.key] = updateView(viewer);
+    }
+    const { view, ops } = updates[viewer.key];
+    
+    if (socket.data.viewKey !== viewer.key) {
+      socket.data.viewKey = viewer.key;
+      socket.emit('stateSnapshot', { version: view.version, state: view.state });
+    } else if (ops.length > 0) {
+      socket.emit('statePatch', { version: view.version, ops });
+    }
+  });
+}
+
+// Send the full state to one client
+function sendSnapshot(socket) {
+  socket.data.viewKey = null;
+  syncState();
 }
 
 // Broadcast state to all connected clients
 function broadcastState() {
-  io.emit('stateUpdate', gameState);
+  syncState();
   saveGameState();
 }
 
+// Authenticate reconnecting sockets from the session token sent in the handshake
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (token) {
+    const session = verifySessionToken(token);
+    if (session && isCurrentSession(session, gameState.users[session.username])) {
+      socket.data.session = session;
+    } else {
+      socket.data.sessionRejected = true;
+    }
+  }
+  next();
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
   
+  if (socket.data.sessionRejected) {
+    socket.emit('sessionInvalid', { message: 'Your session has expired. Please log in again.' });
+  }
+  
   // Send current state to newly connected client
-  socket.emit('stateUpdate', gameState);
+  sendSnapshot(socket);
+  
+  // Client missed a patch: resend the whole state
+  socket.on('requestState', () => {
+    sendSnapshot(socket);
+  });
   
   // Register new user
-  socket.on('register', ({ username, password }) => {
-    if (!username || !password) {
+  socket.on('register', async ({ username, password }) => {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       socket.emit('registerResult', { success: false, message: 'Username and password required' });
       return;
     }
@@ -230,21 +385,33 @@ io.on('connection', (socket) => {
       return;
     }
     
+    const hashedPassword = await hashPassword(password);
+    // Someone else may have taken the name while the password was hashing
+    if (gameState.users[username]) {
+      socket.emit('registerResult', { success: false, message: 'Username already taken' });
+      return;
+    }
+    
     const playerId = `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     gameState.users[username] = {
-      password: hashPassword(password),
+      password: hashedPassword,
       playerId: playerId,
       createdAt: Date.now()
     };
     
     broadcastState();
-    socket.emit('registerResult', { success: true, playerId: playerId, username: username });
+    socket.emit('registerResult', {
+      success: true,
+      playerId: playerId,
+      username: username,
+      token: startSession(socket, username, gameState.users[username])
+    });
     console.log(`New user registered: ${username}`);
   });
   
   // Login existing user
-  socket.on('login', ({ username, password }) => {
-    if (!username || !password) {
+  socket.on('login', async ({ username, password }) => {
+    if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
       socket.emit('loginResult', { success: false, message: 'Username and password required' });
       return;
     }
@@ -255,11 +422,17 @@ io.on('connection', (socket) => {
       return;
     }
     
-    if (!verifyPassword(password, user.password)) {
+    if (!(await verifyPassword(password, user.password))) {
       socket.emit('loginResult', { success: false, message: 'Invalid username or password' });
       return;
     }
     
+    if (needsRehash(user.password)) {
+      user.password = await hashPassword(password);
+      saveGameState();
+      console.log(`Upgraded password hash for ${username}`);
+    }
+    
     // Check if player was previously in game
     const playerId = user.playerId;
     const existingPlayer = gameState.players[playerId];
@@ -283,7 +456,8 @@ io.on('connection', (socket) => {
       success: true, 
       playerId: user.playerId, 
       username: username,
-      resumeData: resumeData
+      resumeData: resumeData,
+      token: startSession(socket, username, user)
     });
     
     // Broadcast updated state if resuming
@@ -294,8 +468,28 @@ io.on('connection', (socket) => {
     console.log(`User logged in: ${username}${resumeData ? ' (resuming)' : ''}`);
   });
   
+  // Log out: forget the identity bound to this socket and revoke the user's tokens
+  socket.on('logout', () => {
+    const { username, user } = getSession(socket);
+    socket.data.session = null;
+    
+    if (user) {
+      revokeSessions(user);
+      // Other tabs logged in as this user are logged out too
+      io.sockets.sockets.forEach(other => {
+        if (other.data.session && other.data.session.username === username) {
+          other.data.session = null;
+          other.emit('sessionInvalid', { message: 'You have been logged out. Please log in again.' });
+        }
+      });
+      saveGameState();
+    }
+    socket.emit('logoutResult', { success: true });
+  });
+  
   // Check if player should be auto-resumed
-  socket.on('checkResume', ({ playerId }) => {
+  socket.on('checkResume', () => {
+    const { playerId } = getSession(socket);
     const existingPlayer = gameState.players[playerId];
     
     if (existingPlayer) {
@@ -319,7 +513,24 @@ io.on('connection', (socket) => {
   });
   
   // Join game
-  socket.on('joinGame', ({ playerId, country }) => {
+  socket.on('joinGame', ({ country }) => {
+    const { playerId } = getSession(socket);
+    if (!playerId) {
+      socket.emit('joinResult', { success: false, message: 'Please log in to join the game' });
+      return;
+    }
+    
+    if (!Object.keys(require('./game-data.json').countries).includes(country)) {
+      socket.emit('joinResult', { success: false, message: `Unknown country: ${country}` });
+      return;
+    }
+    
+    // Phase 2 economies are set up for the countries seated when it starts
+    if (gameState.gamePhase === 'phase2' || gameState.gamePhase === 'complete') {
+      socket.emit('joinResult', { success: false, message: 'Countries can only be chosen before Phase 2 starts' });
+      return;
+    }
+    
     // Check if country is already taken
     const taken = Object.values(gameState.players).some(p => p.country === country);
     
@@ -339,7 +550,10 @@ io.on('connection', (socket) => {
   });
   
   // Leave game
-  socket.on('leaveGame', ({ playerId }) => {
+  socket.on('leaveGame', () => {
+    const { playerId } = getSession(socket);
+    if (!gameState.players[playerId]) return;
+    
     delete gameState.players[playerId];
     gameState.readyPlayers = gameState.readyPlayers.filter(id => id !== playerId);
     broadcastState();
@@ -347,7 +561,10 @@ io.on('connection', (socket) => {
   });
   
   // Set player ready status
-  socket.on('setReady', ({ playerId, ready }) => {
+  socket.on('setReady', ({ ready }) => {
+    const { playerId } = getSession(socket);
+    if (!gameState.players[playerId]) return;
+    
     if (ready) {
       if (!gameState.readyPlayers.includes(playerId)) {
         gameState.readyPlayers.push(playerId);
@@ -375,7 +592,8 @@ io.on('connection', (socket) => {
   });
   
   // Submit vote
-  socket.on('submitVote', ({ playerId, issueId, optionId }) => {
+  socket.on('submitVote', ({ issueId, optionId }) => {
+    const { playerId } = getSession(socket);
     const player = gameState.players[playerId];
     if (player) {
       const voteKey = `${issueId}-${player.country}`;
@@ -412,11 +630,18 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Reset game
+  // Reset game (facilitators listed in SUPERADMIN_USERNAMES only)
   socket.on('resetGame', () => {
+    const { username, user } = getSession(socket);
+    if (!user || !SUPERADMIN_USERNAMES.includes(username.toLowerCase())) {
+      socket.emit('resetGameResult', { success: false, message: 'Only facilitators can reset the game' });
+      return;
+    }
+    
     const savedUsers = gameState.users; // Preserve user accounts
     gameState = {
       gameId: Date.now(),
+      seed: randomSeed(), // the old seed was shown to players once the game completed
       gameStarted: false,
       currentRound: 0,
       players: {},
@@ -431,29 +656,43 @@ io.on('connection', (socket) => {
         currentYear: 1946,
         maxYears: 7,
         yearlyData: {},
-        policies: {}
+        policies: {},
+        events: {}
       }
     };
     broadcastState();
-    console.log('Game reset');
+    socket.emit('resetGameResult', { success: true });
+    console.log(`Game reset by ${username}`);
   });
   
   // Phase 2: Set economic policies
-  socket.on('setPhase2Policies', ({ playerId, centralBankRate, exchangeRate, tariffRate }) => {
+  socket.on('setPhase2Policies', (submission) => {
+    const { playerId } = getSession(socket);
     const player = gameState.players[playerId];
-    if (player && gameState.phase2.active) {
-      if (!gameState.phase2.policies[gameState.phase2.currentYear]) {
-        gameState.phase2.policies[gameState.phase2.currentYear] = {};
-      }
-      gameState.phase2.policies[gameState.phase2.currentYear][player.country] = {
-        centralBankRate: parseFloat(centralBankRate),
-        exchangeRate: parseFloat(exchangeRate),
-        tariffRate: parseFloat(tariffRate),
-        submittedAt: Date.now()
-      };
-      broadcastState();
-      console.log(`Player ${playerId} (${player.country}) set policies for ${gameState.phase2.currentYear}`);
+    if (!player || !gameState.phase2.active) {
+      socket.emit('policiesResult', { success: false, message: 'Only players can set policies, while Phase 2 is active', errors: [] });
+      return;
+    }
+    
+    // Same checks as the multi-room server, against the historical scenario's ranges
+    const { policy, errors } = validatePolicy(gameState, player.country, submission || {});
+    if (errors.length > 0) {
+      console.log(`Policies rejected for ${player.country}: ${errors.map(error => error.code).join(', ')}`);
+      socket.emit('policiesResult', { success: false, message: errors.map(error => error.message).join('. '), errors });
+      return;
     }
+    
+    const year = gameState.phase2.currentYear;
+    if (!gameState.phase2.policies[year]) {
+      gameState.phase2.policies[year] = {};
+    }
+    gameState.phase2.policies[year][player.country] = {
+      ...policy,
+      submittedAt: Date.now()
+    };
+    socket.emit('policiesResult', { success: true, message: `Policies set for ${year}`, year, policy });
+    broadcastState();
+    console.log(`Player ${playerId} (${player.country}) set policies for ${year}`);
   });
 
   // Phase 2: Advance year
@@ -467,6 +706,7 @@ io.on('connection', (socket) => {
       if (gameState.phase2.currentYear - 1946 < gameState.phase2.maxYears) {
         gameState.phase2.currentYear++;
         gameState.readyPlayers = [];
+        announceYearEvents();
       } else {
         // End of Phase 2 - Calculate achievements and bonuses
         calculateFinalAchievements();
@@ -532,9 +772,27 @@ function initializePhase2() {
     };
   });
   
+  announceYearEvents();
   console.log('Phase 2 initialized: Post-war economic management begins (1946-1952)');
 }
 
+// Announce the historical events of the year players are about to play.
+// They go out with the game state, with their historical context.
+function announceYearEvents() {
+  const year = gameState.phase2.currentYear;
+  const events = eventsForYear(year);
+  
+  if (!gameState.phase2.events) gameState.phase2.events = {};
+  gameState.phase2.events[year] = events.map(event => ({
+    id: event.id,
+    title: event.title,
+    context: event.context,
+    countries: [...new Set((event.effects || []).flatMap(effect => effect.countries))]
+  }));
+  
+  events.forEach(event => console.log(`📰 ${year}: ${event.title}`));
+}
+
 // Calculate economic outcomes for the year based on policies
 function calculateYearEconomics() {
   const currentYear = gameState.phase2.currentYear;
@@ -549,12 +807,14 @@ function calculateYearEconomics() {
   
   // Get Bretton Woods agreements impact
   const agreementBonus = calculateAgreementBonus();
+  const yearEvents = eventsForYear(currentYear);
   
   Object.keys(gameState.players).forEach(playerId => {
     const player = gameState.players[playerId];
     const country = player.country;
     const policy = policies[country];
     const prevData = prevYearData[country];
+    const random = createRng(gameState.seed, currentYear, country);
     
     if (!policy || !prevData) {
       // If no policy submitted, use defaults
@@ -589,45 +849,12 @@ function calculateYearEconomics() {
     // Bretton Woods agreement bonus
     gdpGrowth += agreementBonus[country] || 0;
     
-    // China Civil War penalties (1946-1949)
-    let civilWarPenalty = {
-      gdp: 0,
-      inflation: 0,
-      trade: 0
-    };
-    if (country === 'China' && currentYear >= 1946 && currentYear <= 1949) {
-      civilWarPenalty.gdp = -2.0;     // GDP growth penalty
-      civilWarPenalty.inflation = 10;  // Hyperinflation
-      civilWarPenalty.trade = -500;    // Trade disruption
-    }
-    
-    // India Independence transition (colonial → independent)
-    let indiaTransition = {
-      gdp: 0,
-      inflation: 0,
-      trade: 0
-    };
-    if (country === 'India') {
-      if (currentYear === 1947) {
-        // 1947: Partition year - severe disruption
-        indiaTransition.gdp = -1.5;      // Partition violence, displacement
-        indiaTransition.inflation = 8;    // Economic chaos
-        indiaTransition.trade = -300;     // Border disruption with Pakistan
-      } else if (currentYear === 1948) {
-        // 1948: Post-independence recovery begins
-        indiaTransition.gdp = -0.5;      // Still recovering
-        indiaTransition.inflation = 3;    // Stabilizing
-        indiaTransition.trade = -100;     // Trade routes adjusting
-      }
-      // 1949+: Full independence, no penalties (but also no colonial advantages)
-    }
-    
-    // Apply penalties
-    gdpGrowth += civilWarPenalty.gdp;
-    gdpGrowth += indiaTransition.gdp;
+    // Historical events active this year (historical-events.json)
+    const eventEffect = eventEffects(yearEvents, country);
+    gdpGrowth += eventEffect.gdpGrowth;
     
     // Random shock (-1 to +1)
-    const randomShock = (Math.random() - 0.5) * 2;
+    const randomShock = (random() - 0.5) * 2;
     gdpGrowth += randomShock;
     
     // Calculate inflation
@@ -638,13 +865,9 @@ function calculateYearEconomics() {
     } else if (centralBankRate > 5.0) {
       inflation -= (centralBankRate - 5.0) * 1.5;
     }
-    inflation = Math.max(0, inflation + (Math.random() - 0.5) * 3);
+    inflation = Math.max(0, inflation + (random() - 0.5) * 3);
     
-    // Apply China civil war hyperinflation
-    inflation += civilWarPenalty.inflation;
-    
-    // Apply India independence transition inflation
-    inflation += indiaTransition.inflation;
+    inflation = Math.max(0, inflation + eventEffect.inflation);
     
     // Calculate unemployment (inverse of growth)
     let unemployment = prevData.unemployment;
@@ -653,6 +876,7 @@ function calculateYearEconomics() {
     } else if (gdpGrowth < 1.0) {
       unemployment += (1.0 - gdpGrowth) * 0.5;
     }
+    unemployment += eventEffect.unemployment;
     unemployment = Math.max(0.5, Math.min(25, unemployment));
     
     // Calculate trade balance
@@ -664,13 +888,9 @@ function calculateYearEconomics() {
     // GDP growth increases imports
     const growthEffect = gdpGrowth * -100;
     
-    tradeBalance += exchangeEffect + tariffEffect + growthEffect + (Math.random() - 0.5) * 200;
-    
-    // Apply China civil war trade disruption
-    tradeBalance += civilWarPenalty.trade;
+    tradeBalance += exchangeEffect + tariffEffect + growthEffect + (random() - 0.5) * 200;
     
-    // Apply India independence transition trade disruption
-    tradeBalance += indiaTransition.trade;
+    tradeBalance += eventEffect.tradeBalance;
     
     // Calculate gold reserves
     let goldReserves = prevData.goldReserves;
@@ -680,7 +900,7 @@ function calculateYearEconomics() {
     } else {
       goldReserves += tradeBalance * 0.15; // Faster outflow than inflow
     }
-    goldReserves = Math.max(0, goldReserves);
+    goldReserves = Math.max(0, goldReserves + eventEffect.goldReserves);
     
     // Update industrial output
     let industrialOutput = prevData.industrialOutput;
@@ -872,6 +1092,7 @@ function calculatePerformanceScore(gdpGrowth, unemployment, inflation, tradeBala
 
 // Calculate final achievements and bonuses at end of Phase 2
 function calculateFinalAchievements() {
+  const gameData = require('./game-data.json');
   if (!gameState.phase2.achievements) {
     gameState.phase2.achievements = {};
   }
@@ -1111,6 +1332,9 @@ server.listen(PORT, () => {
 ║   Press Ctrl+C to stop                               ║
 ╚═══════════════════════════════════════════════════════╝
   `);
+  if (!process.env.SESSION_SECRET) {
+    console.log('⚠️  SESSION_SECRET not set: players must log in again after a restart');
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,344 @@
+// storage.js - Persistence backends for game state
+// Pick one with STORAGE_BACKEND:
+//   json   (default) - JSON files, written to a temp file and renamed into place
+//   sqlite           - embedded SQLite database with users, rooms, votes and
+//                      yearly data in separate tables (needs better-sqlite3)
+//
+// Whole-state API (server.js): load() / save(state) with state = { users, rooms },
+// where rooms maps a room id to its game state.
+//
+// Per-record API (server-multiroom.js): users and each room are saved and loaded
+// on their own, and finished rooms can be archived so they are not loaded at startup.
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKENDS = ['json', 'sqlite'];
+
+// Room ids become file names, so only allow the characters the server generates
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function createStorage({ jsonFile, sqliteFile }) {
+  const backend = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+
+  if (backend === 'json') return createJsonStorage(jsonFile);
+  if (backend === 'sqlite') return createSqliteStorage(sqliteFile);
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use one of: ${BACKENDS.join(', ')})`);
+}
+
+// Write the new file completely before it replaces the old one, so a crash
+// mid-write leaves the previous save intact
+function writeFileAtomic(file, data) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// JSON file backend
+// Users live in jsonFile; each room is its own file in <name>-rooms/, with
+// archived rooms in <name>-rooms/archive/
+function createJsonStorage(file) {
+  const backupFile = file.replace('.json', '-backup.json');
+  const roomsDir = file.replace('.json', '-rooms');
+  const archiveDir = path.join(roomsDir, 'archive');
+
+  const roomFile = (roomId, archived) => path.join(archived ? archiveDir : roomsDir, `${roomId}.json`);
+
+  const listRoomIds = (dir) => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length));
+  };
+
+  const saveMain = (state) => {
+    if (fs.existsSync(file)) {
+      fs.copyFileSync(file, backupFile);
+    }
+    writeFileAtomic(file, JSON.stringify(state, null, 2));
+  };
+
+  const storage = {
+    name: 'json',
+    location: file,
+
+    load() {
+      return readJson(file);
+    },
+
+    save(state) {
+      saveMain(state);
+    },
+
+    loadUsers() {
+      const state = readJson(file);
+      return (state && state.users) || {};
+    },
+
+    saveUsers(users) {
+      saveMain({ users });
+    },
+
+    loadActiveRooms() {
+      // Saves from before per-room files kept every room inside the main file
+      const state = readJson(file);
+      if (state && state.rooms) {
+        Object.entries(state.rooms).forEach(([roomId, room]) => {
+          if (!fs.existsSync(roomFile(roomId, false))) storage.saveRoom(roomId, room);
+        });
+        saveMain({ users: state.users || {} });
+      }
+
+      const rooms = {};
+      listRoomIds(roomsDir).forEach(roomId => {
+        rooms[roomId] = readJson(roomFile(roomId, false));
+      });
+      return rooms;
+    },
+
+    loadRoom(roomId) {
+      if (!ROOM_ID_PATTERN.test(roomId)) return null;
+      const room = readJson(roomFile(roomId, false)) || readJson(roomFile(roomId, true));
+      if (room) return room;
+
+      // A room still inside the main file, if the server has not moved it out yet
+      const state = readJson(file);
+      const oldRooms = (state && state.rooms) || {};
+      return Object.keys(oldRooms).includes(roomId) ? oldRooms[roomId] : null;
+    },
+
+    saveRoom(roomId, room, { archived = false } = {}) {
+      if (!ROOM_ID_PATTERN.test(roomId)) throw new Error(`Invalid room id: ${roomId}`);
+      fs.mkdirSync(archived ? archiveDir : roomsDir, { recursive: true });
+      writeFileAtomic(roomFile(roomId, archived), JSON.stringify(room, null, 2));
+
+      // A room is either active or archived, never both
+      const otherFile = roomFile(roomId, !archived);
+      if (fs.existsSync(otherFile)) fs.unlinkSync(otherFile);
+    },
+
+    deleteRoom(roomId) {
+      if (!ROOM_ID_PATTERN.test(roomId)) return;
+      [false, true].forEach(archived => {
+        const roomPath = roomFile(roomId, archived);
+        if (fs.existsSync(roomPath)) fs.unlinkSync(roomPath);
+      });
+    },
+
+    // Unlike loadActiveRooms, this never moves rooms out of the main file
+    listActiveRooms() {
+      const state = readJson(file);
+      const oldRooms = Object.keys((state && state.rooms) || {});
+      return [...new Set([...listRoomIds(roomsDir), ...oldRooms])];
+    },
+
+    listArchivedRooms() {
+      return listRoomIds(archiveDir);
+    },
+
+    close() {}
+  };
+
+  return storage;
+}
+
+// SQLite backend
+function createSqliteStorage(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package: run "npm install better-sqlite3"');
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      username TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS rooms (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      archived INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS votes (
+      room_id TEXT NOT NULL,
+      vote_key TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (room_id, vote_key)
+    );
+    CREATE TABLE IF NOT EXISTS yearly_data (
+      room_id TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      country TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (room_id, year, country)
+    );
+  `);
+
+  // Databases created before archiving have no archived column
+  const roomColumns = db.prepare('PRAGMA table_info(rooms)').all().map(column => column.name);
+  if (!roomColumns.includes('archived')) {
+    db.exec('ALTER TABLE rooms ADD COLUMN archived INTEGER NOT NULL DEFAULT 0');
+  }
+
+  const statements = {
+    selectUsers: db.prepare('SELECT username, data FROM users'),
+    selectRooms: db.prepare('SELECT id, data FROM rooms'),
+    selectActiveRooms: db.prepare('SELECT id, data FROM rooms WHERE archived = 0'),
+    selectRoom: db.prepare('SELECT id, data FROM rooms WHERE id = ?'),
+    selectActiveIds: db.prepare('SELECT id FROM rooms WHERE archived = 0'),
+    selectArchivedIds: db.prepare('SELECT id FROM rooms WHERE archived = 1'),
+    selectVotes: db.prepare('SELECT vote_key, data FROM votes WHERE room_id = ?'),
+    selectYearly: db.prepare('SELECT year, country, data FROM yearly_data WHERE room_id = ? ORDER BY year'),
+    insertUser: db.prepare('INSERT INTO users (username, data) VALUES (?, ?)'),
+    upsertRoom: db.prepare('INSERT OR REPLACE INTO rooms (id, data, archived) VALUES (?, ?, ?)'),
+    insertVote: db.prepare('INSERT INTO votes (room_id, vote_key, data) VALUES (?, ?, ?)'),
+    insertYearly: db.prepare('INSERT INTO yearly_data (room_id, year, country, data) VALUES (?, ?, ?, ?)'),
+    deleteRoom: db.prepare('DELETE FROM rooms WHERE id = ?'),
+    deleteVotes: db.prepare('DELETE FROM votes WHERE room_id = ?'),
+    deleteYearly: db.prepare('DELETE FROM yearly_data WHERE room_id = ?')
+  };
+
+  const writeUsers = (users) => {
+    db.exec('DELETE FROM users');
+    Object.entries(users || {}).forEach(([username, user]) => {
+      statements.insertUser.run(username, JSON.stringify(user));
+    });
+  };
+
+  const writeRoom = (roomId, room, archived) => {
+    // Votes and yearly data get their own tables; the room row keeps the rest
+    const { votes, ...roomData } = room;
+    const yearlyData = (room.phase2 && room.phase2.yearlyData) || {};
+    if (room.phase2) {
+      roomData.phase2 = { ...room.phase2, yearlyData: {} };
+    }
+
+    statements.upsertRoom.run(roomId, JSON.stringify(roomData), archived ? 1 : 0);
+    statements.deleteVotes.run(roomId);
+    statements.deleteYearly.run(roomId);
+
+    Object.entries(votes || {}).forEach(([voteKey, vote]) => {
+      statements.insertVote.run(roomId, voteKey, JSON.stringify(vote));
+    });
+
+    Object.entries(yearlyData).forEach(([year, countries]) => {
+      Object.entries(countries).forEach(([country, data]) => {
+        statements.insertYearly.run(roomId, Number(year), country, JSON.stringify(data));
+      });
+    });
+  };
+
+  const readRoom = (row) => {
+    const room = JSON.parse(row.data);
+
+    room.votes = {};
+    statements.selectVotes.all(row.id).forEach(vote => {
+      room.votes[vote.vote_key] = JSON.parse(vote.data);
+    });
+
+    if (room.phase2) {
+      statements.selectYearly.all(row.id).forEach(entry => {
+        room.phase2.yearlyData[entry.year] = room.phase2.yearlyData[entry.year] || {};
+        room.phase2.yearlyData[entry.year][entry.country] = JSON.parse(entry.data);
+      });
+    }
+
+    return room;
+  };
+
+  const readRooms = (rows) => {
+    const rooms = {};
+    rows.forEach(row => {
+      rooms[row.id] = readRoom(row);
+    });
+    return rooms;
+  };
+
+  const saveAll = db.transaction((state) => {
+    writeUsers(state.users);
+    db.exec('DELETE FROM rooms; DELETE FROM votes; DELETE FROM yearly_data;');
+    Object.entries(state.rooms || {}).forEach(([roomId, room]) => writeRoom(roomId, room, false));
+  });
+
+  const saveRoom = db.transaction((roomId, room, archived) => writeRoom(roomId, room, archived));
+
+  const deleteRoom = db.transaction((roomId) => {
+    statements.deleteRoom.run(roomId);
+    statements.deleteVotes.run(roomId);
+    statements.deleteYearly.run(roomId);
+  });
+
+  return {
+    name: 'sqlite',
+    location: file,
+
+    load() {
+      const users = this.loadUsers();
+      const rooms = readRooms(statements.selectRooms.all());
+
+      if (Object.keys(users).length === 0 && Object.keys(rooms).length === 0) return null;
+      return { users, rooms };
+    },
+
+    save(state) {
+      saveAll(state);
+    },
+
+    loadUsers() {
+      const users = {};
+      statements.selectUsers.all().forEach(row => {
+        users[row.username] = JSON.parse(row.data);
+      });
+      return users;
+    },
+
+    saveUsers: db.transaction((users) => writeUsers(users)),
+
+    loadActiveRooms() {
+      return readRooms(statements.selectActiveRooms.all());
+    },
+
+    loadRoom(roomId) {
+      const row = statements.selectRoom.get(roomId);
+      return row ? readRoom(row) : null;
+    },
+
+    saveRoom(roomId, room, { archived = false } = {}) {
+      saveRoom(roomId, room, archived);
+    },
+
+    deleteRoom(roomId) {
+      deleteRoom(roomId);
+    },
+
+    listActiveRooms() {
+      return statements.selectActiveIds.all().map(row => row.id);
+    },
+
+    listArchivedRooms() {
+      return statements.selectArchivedIds.all().map(row => row.id);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createStorage, BACKENDS };
@@ -0,0 +1,446 @@
+// test-modules.js - Run this after changing any of the modules the servers share
+// Checks that state patches round-trip, that seeded games replay the same way,
+// that bad Phase 2 policies and scenarios are turned away, and that trade, loans,
+// agreements, the economic model, gradebook CSVs and both storage backends behave.
+// Exits with 1 if a check fails.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gameData = require('./game-data.json');
+const JsonPatch = require('./json-patch');
+const { createRng } = require('./random');
+const { validatePolicy } = require('./policies');
+const { getScenario, validateScenario, PHASE2_CATEGORIES } = require('./scenarios');
+const { calculateTradeFlows, facesRetaliation } = require('./trade');
+const { AGREEMENTS, createAgreements, checkExchangeRate, parValue } = require('./agreements');
+const {
+  INSTITUTIONS,
+  createInstitutions,
+  quotaGoldPayment,
+  checkLoanRequest,
+  createLoan,
+  loanEffects,
+  debtAfter
+} = require('./institutions');
+const { startingBudget } = require('./fiscal');
+const { simulateYear, forecastYear } = require('./economy');
+const { toCsv, CSV_COLUMNS } = require('./gradebook');
+const { createStorage } = require('./storage');
+
+let failures = 0;
+
+function check(name, passed, detail) {
+  if (passed) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures++;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   ${detail}`);
+  }
+}
+
+// Same JSON with object keys sorted, so key order does not count as a difference
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonical(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+const sameJson = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+console.log('🧪 Testing json-patch.js...\n');
+
+const PATCH_CASES = [
+  {
+    name: 'Unchanged document gives no operations',
+    before: { a: 1, b: [1, 2] },
+    after: { a: 1, b: [1, 2] }
+  },
+  {
+    name: 'Reordered keys',
+    before: { a: 1, b: { c: 2, d: 3 } },
+    after: { b: { d: 3, c: 2 }, a: 1 }
+  },
+  {
+    name: 'Added, changed and deleted keys',
+    before: { keep: 1, change: 'old', remove: true, nested: { gone: 1, stay: 2 } },
+    after: { keep: 1, change: 'new', added: { deep: [1] }, nested: { stay: 2 } }
+  },
+  {
+    name: 'Arrays growing, shrinking and changing',
+    before: { grow: [1], shrink: [1, 2, 3, 4], change: [{ id: 1, v: 'a' }, { id: 2, v: 'b' }] },
+    after: { grow: [1, 2, 3], shrink: [1], change: [{ id: 1, v: 'x' }, { id: 3 }] }
+  },
+  {
+    name: 'Keys with / and ~ in them',
+    before: { 'a/b': 1, 'c~d': 2 },
+    after: { 'a/b': 3, 'e~/f': 4 }
+  },
+  {
+    name: 'Values changing type',
+    before: { a: [1, 2], b: { c: 1 }, d: null, e: 5 },
+    after: { a: { 0: 1 }, b: [1], d: { x: 1 }, e: null }
+  },
+  {
+    name: 'Room state with a vote and a new year of data',
+    before: { votes: {}, phase2: { currentYear: 1946, yearlyData: { 1946: { USA: { gdpGrowth: 3 } } } } },
+    after: { votes: { p1: 'a' }, phase2: { currentYear: 1947, yearlyData: { 1946: { USA: { gdpGrowth: 3 } }, 1947: { USA: { gdpGrowth: 2.5 } } } } }
+  }
+];
+
+PATCH_CASES.forEach(({ name, before, after }) => {
+  const frozen = JSON.stringify(before);
+  const ops = JsonPatch.diff(before, after);
+  const result = JsonPatch.applyPatch(before, ops);
+  check(name, sameJson(result, after), `got ${JSON.stringify(result)}`);
+  check(`${name}: original left untouched`, JSON.stringify(before) === frozen);
+});
+
+check('Reordered keys need no operations',
+  JsonPatch.diff({ a: 1, b: 2 }, { b: 2, a: 1 }).length === 0);
+
+console.log('\n🧪 Testing random.js...\n');
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng());
+
+const first = draw(createRng(12345, 1947, 'USA'), 20);
+check('Same seed and keys give the same numbers', sameJson(first, draw(createRng(12345, 1947, 'USA'), 20)));
+check('Numbers are in [0, 1)', first.every(value => value >= 0 && value < 1));
+check('Another seed gives other numbers', !sameJson(first, draw(createRng(54321, 1947, 'USA'), 20)));
+check('Another year gives other numbers', !sameJson(first, draw(createRng(12345, 1948, 'USA'), 20)));
+check('Another country gives other numbers', !sameJson(first, draw(createRng(12345, 1947, 'UK'), 20)));
+
+// Each stream is independent of the order streams are drawn in
+const usaFirst = [draw(createRng(7, 1950, 'USA'), 5), draw(createRng(7, 1950, 'UK'), 5)];
+const ukFirst = [draw(createRng(7, 1950, 'UK'), 5), draw(createRng(7, 1950, 'USA'), 5)];
+check('Streams do not depend on draw order', sameJson(usaFirst[0], ukFirst[1]) && sameJson(usaFirst[1], ukFirst[0]));
+
+console.log('\n🧪 Testing policies.js...\n');
+
+// A room in its first Phase 2 year, with no peg and no earlier policies
+const room = {
+  scenario: 'historical',
+  phase2: { currentYear: 1946, policies: {}, parChanges: {}, yearlyData: {}, agreements: { exchangeRateBand: null } }
+};
+const levers = getScenario(room.scenario).policyLevers;
+const validPolicy = { centralBankRate: 3, exchangeRate: 1, tariffRate: 10 };
+
+const valid = validatePolicy(room, 'USA', validPolicy);
+check('A valid policy is accepted', valid.errors.length === 0, JSON.stringify(valid.errors));
+check('Left-out levers take their defaults', valid.policy.rationing === levers.rationing.default);
+
+const REJECTED = [
+  { name: 'NaN', lever: 'centralBankRate', value: NaN, code: 'invalid' },
+  { name: 'Infinity', lever: 'tariffRate', value: Infinity, code: 'invalid' },
+  { name: 'Text that is not a number', lever: 'exchangeRate', value: 'abc', code: 'invalid' },
+  { name: 'A missing lever with no default', lever: 'tariffRate', value: undefined, code: 'invalid' },
+  { name: 'Above the maximum', lever: 'centralBankRate', value: levers.centralBankRate.max + 1, code: 'out_of_range' },
+  { name: 'Below the minimum', lever: 'exchangeRate', value: levers.exchangeRate.min / 2, code: 'out_of_range' },
+  { name: 'Negative spending', lever: 'reconstructionSpending', value: -1, code: 'out_of_range' },
+  { name: 'Off the lever steps', lever: 'rationing', value: levers.rationing.step / 2, code: 'step' }
+];
+
+REJECTED.forEach(({ name, lever, value, code }) => {
+  const { errors } = validatePolicy(room, 'USA', { ...validPolicy, [lever]: value });
+  const error = errors.find(e => e.field === lever);
+  check(`${name} is rejected`, error && error.code === code, JSON.stringify(errors));
+});
+
+// Yearly change limits apply once there is an earlier policy
+const nextYear = { ...room, phase2: { ...room.phase2, currentYear: 1947, policies: { 1946: { USA: valid.policy } } } };
+const jump = validatePolicy(nextYear, 'USA', { ...validPolicy, centralBankRate: 3 + levers.centralBankRate.maxChange + 1 });
+check('Too big a change from last year is rejected', jump.errors.some(e => e.code === 'change_limit'), JSON.stringify(jump.errors));
+
+console.log('\n🧪 Testing scenarios.js...\n');
+
+const historical = getScenario('historical');
+check('Rooms with no scenario play the historical one', getScenario(undefined) === historical);
+
+// easy.json extends historical: objects merge key by key, lists are replaced whole
+const easy = getScenario('easy');
+const easyFile = JSON.parse(fs.readFileSync(path.join(__dirname, 'scenarios', 'easy.json'), 'utf8'));
+check('An extending scenario keeps its own values', easy.model.baseGrowth === easyFile.model.baseGrowth);
+check('An extending scenario inherits what it leaves out',
+  easy.model.optimalCentralBankRate === historical.model.optimalCentralBankRate &&
+  sameJson(easy.policyLevers, historical.policyLevers));
+check('Nested objects merge key by key',
+  easy.startingConditions.France.unemployment === easyFile.startingConditions.France.unemployment &&
+  easy.startingConditions.France.warDebt === historical.startingConditions.France.warDebt);
+check('Scoring bands are replaced whole', sameJson(easy.scoring.gdp, easyFile.scoring.gdp || historical.scoring.gdp));
+
+const copyOf = (value) => JSON.parse(JSON.stringify(value));
+const BAD_SCENARIOS = [
+  { name: 'An unknown top-level key', change: s => { s.colour = 'red'; } },
+  { name: 'A missing name', change: s => { delete s.name; } },
+  { name: 'A lever with min above max', change: s => { s.policyLevers.tariffRate.min = 200; } },
+  { name: 'A default outside its lever range', change: s => { s.policyLevers.rationing.default = 500; } },
+  { name: 'A model coefficient that is not a number', change: s => { s.model.baseGrowth = 'fast'; } },
+  { name: 'Negative trade flows', change: s => { s.tradeFlows.USA.UK = -1; } },
+  { name: 'Scoring bands without a catch-all last band', change: s => { s.scoring.gdp = [{ atLeast: 5, points: 10 }]; } },
+  { name: 'An unknown country', change: s => { s.startingConditions.Atlantis = { unemployment: 1, inflation: 1 }; } }
+];
+
+check('The historical scenario is valid', (() => {
+  try { validateScenario(copyOf(historical), 'copy'); return true; } catch (err) { return false; }
+})());
+BAD_SCENARIOS.forEach(({ name, change }) => {
+  const scenario = copyOf(historical);
+  change(scenario);
+  let error = null;
+  try { validateScenario(scenario, 'bad'); } catch (err) { error = err; }
+  check(`${name} is rejected`, error !== null);
+});
+
+console.log('\n🧪 Testing trade.js...\n');
+
+const neutral = { exchangeRate: 1, tariffRate: 10, gdpGrowth: 3, noise: 0, retaliation: false };
+const traders = { USA: { ...neutral }, UK: { ...neutral, exchangeRate: 0.8 }, France: { ...neutral, tariffRate: 40 } };
+const trade = calculateTradeFlows(traders, historical.tradeFlows, historical.model);
+const balanceSum = Object.values(trade.balances).reduce((sum, balance) => sum + balance, 0);
+check('One country\'s surplus is another\'s deficit', balanceSum === 0, `balances add up to ${balanceSum}`);
+check('A cheaper currency sells more',
+  trade.exports.UK.France / historical.tradeFlows.UK.France > trade.exports.USA.France / historical.tradeFlows.USA.France);
+check('A higher tariff buys less', trade.exports.USA.France / historical.tradeFlows.USA.France < trade.exports.USA.UK / historical.tradeFlows.USA.UK);
+
+const withUnknown = calculateTradeFlows({ ...traders, Atlantis: { ...neutral } }, historical.tradeFlows, historical.model);
+check('Countries with no trade flows are left out', !('Atlantis' in withUnknown.balances) && !('Atlantis' in withUnknown.exports));
+check('Leaving them out changes nobody else\'s trade', sameJson(withUnknown, trade));
+
+const highTariffs = { 1946: { USA: { tariffRate: 50 } }, 1947: { USA: { tariffRate: 50 } }, 1948: { USA: { tariffRate: 50 } } };
+check('Tariffs kept high bring retaliation', facesRetaliation(highTariffs, 'USA', 1948, { retaliationThreshold: 30, retaliationYears: 3 }));
+check('One high year does not', !facesRetaliation(highTariffs, 'USA', 1946, { retaliationThreshold: 30, retaliationYears: 3 }));
+
+console.log('\n🧪 Testing agreements.js and institutions.js...\n');
+
+// Phase 1 decisions as the server records them in roundHistory
+function decided(options) {
+  return Object.entries(options).map(([issueId, optionId]) => {
+    const issue = gameData.issues.find(i => i.id === Number(issueId));
+    return { issue: issue.title, winningOption: issue.options.find(o => o.id === optionId).text };
+  });
+}
+
+// A room in its first Phase 2 year, set up the way initializePhase2 does it
+function phase2Room(countries, options = {}, seated = countries) {
+  const room = {
+    roomId: 'test',
+    seed: 12345,
+    scenario: 'historical',
+    players: {},
+    roundHistory: decided(options),
+    phase2: { currentYear: 1946, yearlyData: { 1946: {} }, policies: {}, parChanges: {}, loans: [] }
+  };
+  countries.forEach(country => {
+    room.players[`player_${country}`] = { id: `player_${country}`, country: country };
+  });
+  room.phase2.agreements = createAgreements(room);
+  room.phase2.institutions = createInstitutions(room);
+  seated.forEach(country => {
+    const initialData = { ...gameData.economicData[country], ...historical.startingConditions[country] };
+    room.phase2.yearlyData[1946][country] = {
+      gdpGrowth: 0,
+      goldReserves: initialData.goldReserves,
+      unemployment: initialData.unemployment,
+      tradeBalance: initialData.tradeBalance,
+      inflation: initialData.inflation,
+      industrialOutput: initialData.industrialOutput,
+      ...startingBudget(initialData),
+      imfDebt: 0,
+      worldBankDebt: 0
+    };
+  });
+  return room;
+}
+
+const undecided = phase2Room(['USA', 'UK']);
+check('With no agreements the defaults apply', sameJson(
+  Object.fromEntries(Object.keys(AGREEMENTS.defaults).map(key => [key, undecided.phase2.agreements[key]])),
+  AGREEMENTS.defaults));
+check('With no agreements nobody lends', !undecided.phase2.institutions.imf && !undecided.phase2.institutions.worldBank);
+check('With no peg any exchange rate is allowed', checkExchangeRate(undecided, 'USA', 3.5) === null);
+
+// Fixed rates, free capital movement, IMF stabilization loans, World Bank for the most devastated
+const pegged = phase2Room(['USA', 'UK'], { 2: 'a', 3: 'a', 5: 'c', 6: 'b' });
+const band = AGREEMENTS.issues[2].a.exchangeRateBand;
+check('A peg allows moves inside the band', checkExchangeRate(pegged, 'UK', 1 + band / 2) === null);
+check('A peg refuses moves outside the band', checkExchangeRate(pegged, 'UK', 1 + band * 2) !== null);
+check('Free capital movement rules out national capital controls', pegged.phase2.agreements.nationalCapitalControls === false);
+check('Par value is 1.0 before any policy', parValue(pegged, 'UK') === 1);
+pegged.phase2.parChanges[1946] = { UK: 0.9 };
+check('An approved par value takes over', parValue(pegged, 'UK') === 0.9);
+check('Capital controls are refused under free capital movement',
+  validatePolicy(pegged, 'USA', { ...validPolicy, capitalControls: 10 }).errors.some(e => e.code === 'not_allowed'));
+
+const { imf, worldBank } = pegged.phase2.institutions;
+check('The IMF lends under stabilization loans', imf && imf.quotaMultiple === 2);
+check('IMF members pay part of their quota in gold', quotaGoldPayment(imf, 'USA') === Math.round(imf.quotas.USA * INSTITUTIONS.goldSubscription));
+check('Unknown lenders are refused', checkLoanRequest(pegged, 'UK', 'bankOfAtlantis', 100) !== null);
+check('Loans must be positive', checkLoanRequest(pegged, 'UK', 'imf', -5) !== null && checkLoanRequest(pegged, 'UK', 'imf', NaN) !== null);
+check('Loans above the limit are refused', checkLoanRequest(pegged, 'UK', 'imf', imf.quotas.UK * 2 + 1) !== null);
+check('Loans within the limit are allowed', checkLoanRequest(pegged, 'UK', 'imf', imf.quotas.UK) === null);
+check('The World Bank only lends to the countries it lists',
+  checkLoanRequest(pegged, 'USA', 'worldBank', 100) !== null && checkLoanRequest(pegged, 'UK', 'worldBank', 100) === null);
+
+const imfLoan = createLoan(pegged, 'UK', 'imf', 500);
+pegged.phase2.loans.push(imfLoan);
+check('One loan per lender each year', checkLoanRequest(pegged, 'UK', 'imf', 100) !== null);
+check('An IMF loan arrives as reserves', loanEffects(pegged.phase2.loans, 'UK', 1946, validPolicy).goldReserves === 500);
+check('Breaking the loan conditions costs growth',
+  loanEffects(pegged.phase2.loans, 'UK', 1946, { ...validPolicy, centralBankRate: 1 }).conditionsBroken.includes('imf'));
+check('Debt falls as the loan is repaid',
+  debtAfter(pegged.phase2.loans, 'UK', 1946).imfDebt === 500 &&
+  debtAfter(pegged.phase2.loans, 'UK', 1946 + worldBank.termYears).imfDebt === 0);
+check('Repayments come out of the reserves', loanEffects(pegged.phase2.loans, 'UK', 1947, validPolicy).goldReserves < 0);
+
+console.log('\n🧪 Testing economy.js...\n');
+
+const room2 = phase2Room(['USA', 'UK']);
+const policies = { USA: validPolicy, UK: { ...validPolicy, exchangeRate: 0.9 } };
+const year1 = simulateYear(room2, policies);
+check('A simulated year has results and scores for each seated country',
+  sameJson(Object.keys(year1.results).sort(), ['UK', 'USA']) && sameJson(Object.keys(year1.yearScores).sort(), ['UK', 'USA']));
+check('Simulating a year does not change the room', Object.keys(room2.phase2.yearlyData).length === 1);
+check('The same seed gives the same year', sameJson(simulateYear(room2, policies), year1));
+check('Every result is a finite number', Object.values(year1.results).every(data =>
+  ['gdpGrowth', 'inflation', 'unemployment', 'tradeBalance', 'goldReserves', 'debt'].every(key => Number.isFinite(data[key]))));
+
+const forecast = forecastYear(room2, 'UK', policies.UK);
+check('A forecast gives the year\'s figures and score', forecast && Number.isFinite(forecast.gdpGrowth) && Number.isFinite(forecast.score));
+
+// Saves from before the join checks can hold seats these paths used to crash on
+const unknownSeat = phase2Room(['USA', 'UK', 'Atlantis'], {}, ['USA', 'UK']);
+let unknownYear = null;
+try { unknownYear = simulateYear(unknownSeat, { ...policies, Atlantis: validPolicy }); } catch (err) { unknownYear = err; }
+check('A seat for an unknown country does not stop the year', unknownYear && !(unknownYear instanceof Error), unknownYear && unknownYear.message);
+check('The unknown country gets no results', unknownYear && unknownYear.results && !('Atlantis' in unknownYear.results));
+
+const lateJoiner = phase2Room(['USA', 'UK', 'India'], {}, ['USA', 'UK']);
+let lateYear = null;
+try { lateYear = simulateYear(lateJoiner, { ...policies, India: validPolicy }); } catch (err) { lateYear = err; }
+check('A country seated after Phase 2 started does not stop the year', lateYear && !(lateYear instanceof Error), lateYear && lateYear.message);
+check('The late country is left out and everyone else\'s year is unchanged', lateYear && sameJson(lateYear.results, year1.results));
+check('The unknown country changes nobody else\'s year', unknownYear && sameJson(unknownYear.results, year1.results));
+check('There is no forecast for a country with no figures', forecastYear(lateJoiner, 'India', validPolicy) === null);
+check('Nor for an unknown country', forecastYear(unknownSeat, 'Atlantis', validPolicy) === null);
+
+console.log('\n🧪 Testing gradebook.js...\n');
+
+const student = {
+  username: 'alice',
+  country: 'USA',
+  phase1Points: 10,
+  phase2Points: Object.fromEntries(PHASE2_CATEGORIES.map(category => [category, 1])),
+  phase2Total: PHASE2_CATEGORIES.length,
+  achievementPoints: 0,
+  achievements: [],
+  votesCast: 6,
+  policiesSubmitted: 6,
+  totalPoints: 10 + PHASE2_CATEGORIES.length,
+  finalRank: 1
+};
+const csvRow = (row) => toCsv([row]).split('\r\n')[1];
+
+check('The CSV header lists every column', toCsv([]) === `${CSV_COLUMNS.join(',')}\r\n`);
+check('Rows end with CRLF', toCsv([student]).endsWith('\r\n') && toCsv([student]).split('\r\n').length === 3);
+check('Plain fields are left alone', csvRow(student).startsWith('alice,USA,10,'));
+check('Commas are quoted', csvRow({ ...student, username: 'smith, j' }).startsWith('"smith, j",'));
+check('Quotes are doubled', csvRow({ ...student, username: 'the "boss"' }).startsWith('"the ""boss""",'));
+check('Line breaks are quoted', csvRow({ ...student, username: 'a\nb' }).startsWith('"a\nb",'));
+check('Formulas are shown as text', csvRow({ ...student, username: '=HYPERLINK("x")' }).startsWith('"\'=HYPERLINK(""x"")",'));
+check('Negative numbers stay numbers', csvRow({ ...student, phase1Points: -5 }).startsWith('alice,USA,-5,'));
+check('Achievements share one field', csvRow({ ...student, achievements: ['Golden Age', 'Trade Champion'] }).includes(',Golden Age; Trade Champion,'));
+
+console.log('\n🧪 Testing storage.js...\n');
+
+// Each backend gets a fresh folder under the system temp directory
+function testStorage(backend) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `bretton-${backend}-`));
+  const files = { jsonFile: path.join(dir, 'state.json'), sqliteFile: path.join(dir, 'state.db') };
+  const previousBackend = process.env.STORAGE_BACKEND;
+  process.env.STORAGE_BACKEND = backend;
+  try {
+    const storage = createStorage(files);
+    const users = { alice: { playerId: 'p1', role: 'player' } };
+    const room = {
+      roomId: 'room_1',
+      players: { p1: { id: 'p1', country: 'USA' } },
+      votes: { p1: 'a' },
+      messages: { public: [{ text: 'hi' }] },
+      phase2: { currentYear: 1947, yearlyData: { 1946: { USA: { gdpGrowth: 0 } }, 1947: { USA: { gdpGrowth: 3.2 } } } }
+    };
+
+    storage.saveUsers(users);
+    check(`${backend}: users round-trip`, sameJson(storage.loadUsers(), users));
+    storage.saveRoom('room_1', room);
+    check(`${backend}: rooms round-trip with votes and yearly data`, sameJson(storage.loadRoom('room_1'), room));
+    check(`${backend}: saving a room keeps the users`, sameJson(storage.loadUsers(), users));
+    check(`${backend}: active rooms are listed`, sameJson(storage.listActiveRooms(), ['room_1']) && 'room_1' in storage.loadActiveRooms());
+
+    storage.saveRoom('room_1', room, { archived: true });
+    check(`${backend}: an archived room is only in the archive`,
+      sameJson(storage.listArchivedRooms(), ['room_1']) && storage.listActiveRooms().length === 0);
+    check(`${backend}: archived rooms still load`, sameJson(storage.loadRoom('room_1'), room));
+
+    storage.deleteRoom('room_1');
+    check(`${backend}: deleted rooms are gone`, storage.loadRoom('room_1') === null && storage.listArchivedRooms().length === 0);
+    check(`${backend}: unknown rooms are not found`, storage.loadRoom('nope') === null);
+    storage.close();
+  } finally {
+    if (previousBackend === undefined) delete process.env.STORAGE_BACKEND;
+    else process.env.STORAGE_BACKEND = previousBackend;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+testStorage('json');
+
+// The JSON backend checks room ids, which become file names, and moves rooms out of older single-file saves
+const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bretton-legacy-'));
+try {
+  const legacyFile = path.join(legacyDir, 'state.json');
+  const legacy = createStorage({ jsonFile: legacyFile, sqliteFile: path.join(legacyDir, 'state.db') });
+  check('json: room ids that are not file-safe are refused',
+    legacy.loadRoom('../state') === null && (() => { try { legacy.saveRoom('../x', {}); return false; } catch (err) { return true; } })());
+
+  fs.writeFileSync(legacyFile, JSON.stringify({ users: { bob: { playerId: 'p2' } }, rooms: { room_old: { roomId: 'room_old' } } }));
+  const before = fs.readFileSync(legacyFile, 'utf8');
+  check('json: listing rooms in an old save changes nothing',
+    sameJson(legacy.listActiveRooms(), ['room_old']) && fs.readFileSync(legacyFile, 'utf8') === before &&
+    !fs.existsSync(path.join(legacyDir, 'state-rooms')));
+  check('json: rooms in an old save load before they are moved', sameJson(legacy.loadRoom('room_old'), { roomId: 'room_old' }));
+  check('json: "__proto__" is not a room in an old save', legacy.loadRoom('__proto__') === null);
+  check('json: loading active rooms moves them out of an old save',
+    'room_old' in legacy.loadActiveRooms() && !JSON.parse(fs.readFileSync(legacyFile, 'utf8')).rooms &&
+    sameJson(legacy.loadUsers(), { bob: { playerId: 'p2' } }));
+} finally {
+  fs.rmSync(legacyDir, { recursive: true, force: true });
+}
+
+let sqliteInstalled = true;
+try {
+  require('better-sqlite3');
+} catch (err) {
+  sqliteInstalled = false;
+}
+if (sqliteInstalled) {
+  testStorage('sqlite');
+} else {
+  console.log('⏭️  better-sqlite3 is not installed, so the sqlite backend was not tested');
+}
+
+// Summary
+console.log('\n═══════════════════════════════════════');
+if (failures === 0) {
+  console.log('✅ SUCCESS! All checks passed!');
+} else {
+  console.log(`❌ ${failures} check${failures === 1 ? '' : 's'} failed!`);
+}
+console.log('═══════════════════════════════════════\n');
+
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,50 @@
+// trade.js - Bilateral trade flows for the Phase 2 model
+// Each year every country sells to every other country. A flow starts from the
+// scenario's tradeFlows (1946 exports at zero tariffs, $M) and is scaled by the
+// two exchange rates, the buyer's growth, the buyer's tariff and random noise.
+// A country's trade balance is what it sells minus what it buys, so within the
+// matrix one country's surplus is always another's deficit.
+
+// True if the country's tariff has been above the retaliation threshold for
+// enough years in a row, counting back from (and including) this year
+function facesRetaliation(policies, country, year, model) {
+  let streak = 0;
+  while (policies[year - streak]?.[country]?.tariffRate > model.retaliationThreshold) {
+    streak++;
+  }
+  return streak >= model.retaliationYears;
+}
+
+// countries: country -> { exchangeRate, tariffRate, gdpGrowth, noise, retaliation }
+// Returns the rounded matrix (exports[seller][buyer]) and each country's balance.
+// Countries missing from tradeFlows are left out.
+function calculateTradeFlows(countries, tradeFlows, model) {
+  const names = Object.keys(countries).filter(country => tradeFlows[country]);
+  const exports = {};
+  const balances = {};
+  names.forEach(country => { balances[country] = 0; });
+
+  names.forEach(seller => {
+    exports[seller] = {};
+    names.filter(buyer => buyer !== seller).forEach(buyer => {
+      const from = countries[seller];
+      const to = countries[buyer];
+      // Partners add a surcharge on goods from a country that keeps its tariffs high
+      const tariff = to.tariffRate + (from.retaliation ? model.retaliationTariff : 0);
+
+      const flow = (tradeFlows[seller][buyer] || 0) *
+        Math.max(0, 1 + (to.exchangeRate - from.exchangeRate) * model.exportPriceEffect) *
+        Math.max(0, 1 + to.gdpGrowth * model.importDemandEffect) *
+        Math.max(0, 1 - tariff * model.tariffExportEffect) *
+        (1 + from.noise);
+
+      exports[seller][buyer] = Math.round(flow);
+      balances[seller] += exports[seller][buyer];
+      balances[buyer] -= exports[seller][buyer];
+    });
+  });
+
+  return { exports, balances };
+}
+
+module.exports = { facesRetaliation, calculateTradeFlows };
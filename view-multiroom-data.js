@@ -5,6 +5,20 @@ const fs = require('fs');
 const path = require('path');
 
 const STATE_FILE = path.join(__dirname, 'game-state-multiroom.json');
+const ROOMS_DIR = path.join(__dirname, 'game-state-multiroom-rooms');
+const ARCHIVE_DIR = path.join(ROOMS_DIR, 'archive');
+
+// Each room is saved as its own file
+function readRoomFiles(dir) {
+  if (!fs.existsSync(dir)) return {};
+  const rooms = {};
+  fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .forEach(name => {
+      rooms[name.slice(0, -'.json'.length)] = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    });
+  return rooms;
+}
 
 console.log('🔍 Bretton Woods Multi-Room - Data Viewer\n');
 console.log('=' .repeat(60));
@@ -23,6 +37,9 @@ if (!fs.existsSync(STATE_FILE)) {
 try {
   const data = fs.readFileSync(STATE_FILE, 'utf8');
   const state = JSON.parse(data);
+  // Older saves keep rooms inside the main file
+  state.rooms = { ...(state.rooms || {}), ...readRoomFiles(ROOMS_DIR) };
+  const archivedRooms = readRoomFiles(ARCHIVE_DIR);
   
   console.log('\n✅ Data file found!');
   console.log(`   Location: ${STATE_FILE}`);
@@ -86,12 +103,12 @@ try {
     });
   }
   
-  // Room List
-  const roomListCount = (state.roomList || []).length;
-  console.log(`\n📋 Room List Entries: ${roomListCount}`);
-  if (roomListCount > 0) {
-    state.roomList.forEach(room => {
-      console.log(`   - ${room.name}: ${room.playerCount}/${room.maxPlayers} players (${room.status})`);
+  // Archived rooms
+  const archivedCount = Object.keys(archivedRooms).length;
+  console.log(`\n📦 Archived Rooms: ${archivedCount}`);
+  if (archivedCount > 0) {
+    Object.entries(archivedRooms).forEach(([roomId, room]) => {
+      console.log(`   - ${room.roomName} (${roomId}): ${Object.keys(room.players || {}).length} players, finished`);
     });
   }
   
@@ -116,6 +133,7 @@ try {
   console.log('📈 Storage Summary:');
   console.log(`   - ${userCount} user account(s)`);
   console.log(`   - ${roomCount} active room(s)`);
+  console.log(`   - ${archivedCount} archived room(s)`);
   console.log(`   - ${totalPlayers} player(s) in games`);
   console.log(`   - File size: ${(fs.statSync(STATE_FILE).size / 1024).toFixed(2)} KB`);
   console.log();
@@ -21,7 +21,9 @@ if (!fs.existsSync(STATE_FILE)) {
 
 try {
   const data = fs.readFileSync(STATE_FILE, 'utf8');
-  const gameState = JSON.parse(data);
+  const saved = JSON.parse(data);
+  // Current saves hold { users, rooms: { main } }; older saves are the flat game state
+  const gameState = saved.rooms ? { ...saved.rooms.main, users: saved.users } : saved;
   
   console.log('\n✅ Data file found!');
   console.log(`   Location: ${STATE_FILE}`);